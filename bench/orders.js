@@ -0,0 +1,55 @@
+/**
+ * Times valid order enumeration and movement adjudication for a crowded board on the map in `test/fixtures/standard-map.js`.
+ * Run with `node bench/orders.js [path to another utils.js]` to compare against another version.
+ */
+const path = require("path");
+const { createMapInfo } = require("../test/fixtures/standard-map.js");
+const { GameData } = require(path.resolve(process.argv[2] || path.join(__dirname, "../utils.js")));
+
+const rounds = 50;
+const units = {
+  ENG: ["F NAO", "F NWG", "F NTH", "F ENG", "F IRI", "A LON", "A YOR", "A WAL", "A EDI", "F LVP", "A CLY"],
+  FRA: ["F MAO", "F WES", "F LYO", "A BRE", "A PAR", "A PIC", "A GAS", "A MAR", "F SPA/nc", "A POR", "A PIE"],
+  GER: ["F HEL", "F SKA", "A KIE", "A MUN", "A RUH", "A HOL", "A BEL", "A DEN", "F SWE"]
+};
+
+function createGame() {
+  let mapInfo = createMapInfo();
+  let nations = {};
+  for (let country of mapInfo.countries) {
+    nations[country.id] = {
+      id: country.id, neutral: false, supplyCenters: country.supplyCenters.slice(),
+      units: units[country.id].map(text => {
+        let [type, place] = text.split(" ");
+        let [province, coast] = place.split("/");
+        let water = mapInfo.provinces.find(p => p.id == province).water;
+        return { province, coast: type == "A" || water ? "" : coast || "c", type: type == "A" ? 0 : 1 };
+      })
+    };
+  }
+  return new GameData({
+    mapInfo, won: 0, winner: "", id: 1, name: "Benchmark", map: "standard", phase: 0,
+    players: { ENG: "england", FRA: "france", GER: "germany" }, users: ["england", "france", "germany"],
+    history: [{ date: 1901, season: 0, nations, orders: {}, retreats: {} }]
+  });
+}
+
+/** Run `fn` on a new game `rounds` times, after as many runs to warm up, and return the median time in milliseconds. */
+function time(fn) {
+  for (let i = 0; i < rounds; i++) fn(createGame());
+  let times = [];
+  for (let i = 0; i < rounds; i++) {
+    let game = createGame();
+    let start = process.hrtime.bigint();
+    fn(game);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(rounds / 2)];
+}
+
+let allUnits = game => Object.values(game.state.nations).flatMap(nation => nation.units);
+let enumerate = game => allUnits(game).forEach(unit => game.get_valid_orders(unit));
+console.log(`valid orders for ${allUnits(createGame()).length} units: ${time(enumerate).toFixed(1)} ms`);
+if (GameData.prototype.adjudicate_movement) {
+  console.log(`valid orders and adjudication: ${time(game => { enumerate(game); game.adjudicate_movement(); }).toFixed(1)} ms`);
+}
@@ -0,0 +1,69 @@
+/**
+ * Tests for the caches kept by {@link GameData}: valid orders, unit lookups and playable country groups.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { unitTypeEnum, orderTypeEnum, MoveOrder } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+let supports = (game, province) => game.get_valid_orders(game.get_unit(province))
+  .filter(o => o.type == orderTypeEnum["support move"]).map(o => `${o.from}-${o.supporting}`).sort();
+
+test.describe("valid order cache", () => {
+  test("answers repeated calls from the cache", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"] });
+    assert.strictEqual(game.get_valid_orders(game.get_unit("PAR")), game.get_valid_orders(game.get_unit("PAR")));
+  });
+
+  test("is rebuilt once the game moves on", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"] });
+    assert.ok(supports(game, "MAR").includes("PAR-BUR"));
+    game.state.orders.FRA = { PAR: new MoveOrder("PAR", "GAS") };
+    game.advance_phase();
+    assert.strictEqual(game.get_unit("PAR"), null);
+    assert.ok(!supports(game, "MAR").includes("PAR-BUR"));
+    assert.ok(supports(game, "MAR").includes("GAS-SPA"));
+  });
+
+  test("tells units apart by type and coast", () => {
+    let game = createGame({ FRA: ["F SPA/NC"] });
+    let moves = unit => game.get_valid_orders(unit).filter(o => o.type == orderTypeEnum.move).map(o => o.dest).sort();
+    assert.deepStrictEqual(moves({ province: "SPA", coast: "nc", type: unitTypeEnum.Fleet }), ["GAS", "MAO", "POR"]);
+    assert.deepStrictEqual(moves({ province: "SPA", coast: "sc", type: unitTypeEnum.Fleet }), ["LYO", "MAO", "MAR", "POR", "WES"]);
+    assert.deepStrictEqual(moves({ province: "SPA", coast: "", type: unitTypeEnum.Army }), ["GAS", "MAR", "POR"]);
+  });
+
+  test("invalidate_caches picks up units changed from outside", () => {
+    let game = createGame({ FRA: ["A PAR"] });
+    assert.strictEqual(game.get_unit("MAR"), null);
+    game.state.nations.FRA.units.push({ province: "MAR", coast: "", type: unitTypeEnum.Army });
+    game.invalidate_caches();
+    assert.strictEqual(game.get_unit_owner_id("MAR"), "FRA");
+    assert.ok(supports(game, "MAR").includes("PAR-BUR"));
+  });
+});
+
+test.describe("playableCountryGroups", () => {
+  /** A game whose map combines England and Germany when two people play. */
+  function twoPlayerGame() {
+    let game = createGame({});
+    game.mapInfo.playerConfigurations["2"] = { eliminate: [], combine: [["ENG", "GER"]], neutralEliminate: false };
+    return game;
+  }
+
+  test("follows the number of users", () => {
+    let game = twoPlayerGame();
+    assert.deepStrictEqual(game.playableCountryGroups, [["ENG"], ["FRA"], ["GER"]]);
+    game.users.pop();
+    assert.deepStrictEqual(game.playableCountryGroups, [["ENG", "GER"], ["FRA"]]);
+  });
+
+  test("returns copies that don't change the cache or the map", () => {
+    let game = twoPlayerGame();
+    game.users.pop();
+    game.playableCountryGroups[0].push("FRA");
+    game.playableCountryGroups.pop();
+    assert.deepStrictEqual(game.playableCountryGroups, [["ENG", "GER"], ["FRA"]]);
+    assert.deepStrictEqual(game.mapInfo.playerConfigurations["2"].combine, [["ENG", "GER"]]);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the "Country Claiming" phase: {@link GameData#claim_country_group}, {@link GameData#assign_country_groups_randomly},
+ * {@link GameData#assign_country_groups_by_preference} and {@link GameData#finish_claiming}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { phaseEnum } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+/** A game in the "Country Claiming" phase that nobody has claimed a country in yet. */
+function claiming(users = ["england", "france", "germany"]) {
+  let game = createGame({});
+  game.phase = phaseEnum["Country Claiming"];
+  game.players = {};
+  game.users = users;
+  return game;
+}
+
+test.describe("claim_country_group", () => {
+  test("gives the group to the first user to claim it", () => {
+    let game = claiming();
+    assert.deepStrictEqual(game.claim_country_group("france", "FRA"), { claimed: true, message: "" });
+    assert.deepStrictEqual(game.players, { FRA: "france" });
+    assert.deepStrictEqual(game.get_player_country_group("france"), ["FRA"]);
+    assert.deepStrictEqual(game.claim_country_group("england", "FRA"), { claimed: false, message: "France has already been claimed by france." });
+    assert.deepStrictEqual(game.claim_country_group("france", "GER"), { claimed: false, message: "france has already claimed France." });
+    assert.strictEqual(game.phase, phaseEnum["Country Claiming"]);
+  });
+
+  test("refuses strangers and countries that can't be played", () => {
+    let game = claiming();
+    assert.deepStrictEqual(game.claim_country_group("austria", "FRA"), { claimed: false, message: "austria isn't in this game." });
+    assert.deepStrictEqual(game.claim_country_group("france", "ITA"), { claimed: false, message: "ITA can't be played." });
+    assert.deepStrictEqual(game.players, {});
+  });
+
+  test("claims every country of a combined group", () => {
+    let game = claiming(["england", "france"]);
+    game.mapInfo.playerConfigurations["2"] = { eliminate: [], combine: [["ENG", "GER"]], neutralEliminate: false };
+    assert.strictEqual(game.claim_country_group("england", "GER").claimed, true);
+    assert.deepStrictEqual(game.players, { ENG: "england", GER: "england" });
+    assert.strictEqual(game.claim_country_group("france", "ENG").message, "England and Germany has already been claimed by england.");
+  });
+
+  test("the last claim starts the game", () => {
+    let game = claiming();
+    game.claim_country_group("england", "ENG");
+    game.claim_country_group("france", "FRA");
+    game.claim_country_group("germany", "GER");
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+    assert.deepStrictEqual(game.claim_country_group("germany", "GER"), {
+      claimed: false, message: "Countries can only be claimed during the Country Claiming phase."
+    });
+  });
+});
+
+test.describe("assign_country_groups_randomly", () => {
+  test("gives every user a different group and starts the game", () => {
+    let game = claiming();
+    game.assign_country_groups_randomly(1);
+    assert.deepStrictEqual(Object.keys(game.players).sort(), ["ENG", "FRA", "GER"]);
+    assert.deepStrictEqual(Object.values(game.players).sort(), ["england", "france", "germany"]);
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+  });
+
+  test("gives the same assignment for the same seed", () => {
+    let assign = seed => {
+      let game = claiming();
+      game.assign_country_groups_randomly(seed);
+      return game.players;
+    };
+    assert.deepStrictEqual(assign(7), assign(7));
+    let seeds = Array.from({ length: 20 }, (_, seed) => JSON.stringify(assign(seed)));
+    assert.ok(new Set(seeds).size > 1);
+  });
+
+  test("keeps the groups already claimed", () => {
+    let game = claiming();
+    game.claim_country_group("germany", "FRA");
+    game.assign_country_groups_randomly(3);
+    assert.strictEqual(game.players.FRA, "germany");
+    assert.deepStrictEqual(Object.values(game.players).sort(), ["england", "france", "germany"]);
+  });
+
+  test("can only be used while claiming", () => {
+    let game = createGame({});
+    assert.throws(() => game.assign_country_groups_randomly(1), /^Error: Countries can only be assigned during the Country Claiming phase\.$/);
+    assert.throws(() => game.assign_country_groups_by_preference({}), /^Error: Countries can only be assigned during the Country Claiming phase\.$/);
+  });
+});
+
+test.describe("assign_country_groups_by_preference", () => {
+  test("gives users their first choice when nobody else wants it", () => {
+    let game = claiming();
+    game.assign_country_groups_by_preference({ england: ["GER", "ENG"], france: ["ENG"], germany: ["FRA", "GER"] });
+    assert.deepStrictEqual(game.players, { GER: "england", ENG: "france", FRA: "germany" });
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+  });
+
+  test("settles a shared first choice with the seed, and the other user gets their next choice", () => {
+    let rankings = { england: ["FRA", "ENG"], france: ["FRA", "GER"], germany: [] };
+    let owners = new Set();
+    for (let seed = 0; seed < 20; seed++) {
+      let game = claiming();
+      game.assign_country_groups_by_preference(rankings, seed);
+      let winner = game.players.FRA;
+      owners.add(winner);
+      let loser = winner == "england" ? "france" : "england";
+      assert.deepStrictEqual(game.get_player_country_group(loser), [rankings[loser][1]]);
+      assert.strictEqual(game.get_player_country_group("germany").length, 1);
+    }
+    assert.deepStrictEqual([...owners].sort(), ["england", "france"]);
+  });
+
+  test("users who run out of choices get the rest", () => {
+    let game = claiming();
+    game.assign_country_groups_by_preference({ england: ["FRA"], france: ["FRA"] }, 5);
+    assert.deepStrictEqual(Object.values(game.players).sort(), ["england", "france", "germany"]);
+    assert.ok(["england", "france"].includes(game.players.FRA));
+  });
+});
+
+test.describe("finish_claiming", () => {
+  test("waits until every user has a group", () => {
+    let game = claiming();
+    game.players = { ENG: "england", FRA: "france" };
+    assert.strictEqual(game.finish_claiming(), false);
+    assert.strictEqual(game.phase, phaseEnum["Country Claiming"]);
+    game.players.GER = "germany";
+    assert.strictEqual(game.finish_claiming(), true);
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+    assert.strictEqual(game.finish_claiming(), false);
+  });
+
+  test("waits until every group has a user", () => {
+    let game = claiming(["england", "france"]);
+    game.mapInfo.playerConfigurations["2"] = { eliminate: [], combine: [], neutralEliminate: false };
+    game.players = { ENG: "england", FRA: "france" };
+    assert.strictEqual(game.finish_claiming(), false);
+    assert.strictEqual(game.phase, phaseEnum["Country Claiming"]);
+  });
+});
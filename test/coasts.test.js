@@ -0,0 +1,87 @@
+/**
+ * Tests for moves and supports into the split-coast provinces STP and SPA.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  orderTypeEnum, orderResultEnum, orderValidationEnum, MoveOrder, SupportMoveOrder, import_order
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+let movable = (game, ...args) => game.get_units_movable_to(...args).map(u => u.province).sort();
+
+test.describe("get_units_movable_to", () => {
+  test("counts units reaching any coast when none is given", () => {
+    let game = createGame({ ENG: ["F BAR", "F NWY"], GER: ["F BOT", "A FIN"] });
+    assert.deepStrictEqual(movable(game, "STP"), ["BAR", "BOT", "FIN", "NWY"]);
+  });
+
+  test("only counts fleets reaching the coast given", () => {
+    let game = createGame({ ENG: ["F BAR", "F NWY"], GER: ["F BOT", "A FIN"] });
+    assert.deepStrictEqual(movable(game, "STP", "", "", "nc"), ["BAR", "NWY"]);
+    assert.deepStrictEqual(movable(game, "STP", "NWY", "", "nc"), ["BAR"]);
+    assert.deepStrictEqual(movable(game, "STP", "", "", "sc"), ["BOT"]);
+  });
+
+  test("fleets on either side of Spain reach their own coast", () => {
+    let game = createGame({ FRA: ["F GAS", "F MAO", "F MAR"], GER: ["F WES"] });
+    assert.deepStrictEqual(movable(game, "SPA"), ["GAS", "MAO", "MAR", "WES"]);
+    assert.deepStrictEqual(movable(game, "SPA", "", "", "nc"), ["GAS", "MAO"]);
+    assert.deepStrictEqual(movable(game, "SPA", "", "", "sc"), ["MAO", "MAR", "WES"]);
+  });
+});
+
+test.describe("SupportMoveOrder coasts", () => {
+  test("a support may name a coast the supported fleet can reach", () => {
+    let game = createGame({ ENG: ["F BAR", "F NWY"], GER: ["F BOT"] });
+    assert.strictEqual(game.validate_order(new SupportMoveOrder("NWY", "STP", "BAR", "nc"), "ENG").code, orderValidationEnum.valid);
+    assert.strictEqual(game.validate_order(new SupportMoveOrder("NWY", "STP", "BAR"), "ENG").code, orderValidationEnum.valid);
+    assert.strictEqual(game.validate_order(new SupportMoveOrder("NWY", "STP", "BOT", "nc"), "ENG").code, orderValidationEnum["invalid coast"]);
+    assert.strictEqual(game.validate_order(new SupportMoveOrder("NWY", "STP", "BOT", "sc"), "ENG").code, orderValidationEnum.valid);
+  });
+
+  test("supports are listed once per province", () => {
+    let game = createGame({ FRA: ["F MAO", "F POR"] });
+    let supports = game.get_valid_orders(game.get_unit("POR")).filter(o => o.type == orderTypeEnum["support move"] && o.supporting == "SPA");
+    assert.deepStrictEqual(supports.map(o => [o.from, o.coast]), [["MAO", ""]]);
+  });
+
+  test("supports match moves by province, whatever coast they name", () => {
+    let game = createGame({ ENG: ["F BAR"], GER: ["F BOT", "A FIN"] });
+    let orders = [new MoveOrder("BAR", "STP", "nc"), new MoveOrder("BOT", "STP", "sc"), new SupportMoveOrder("FIN", "STP", "BOT", "sc")];
+    game.state.orders.ENG = { BAR: orders[0] };
+    game.state.orders.GER = { BOT: orders[1], FIN: orders[2] };
+    game.adjudicate_movement();
+    assert.deepStrictEqual(orders.map(o => o.result), [orderResultEnum.fail, orderResultEnum.success, orderResultEnum.success]);
+  });
+
+  test("coasts are kept when writing, reading, exporting and importing", () => {
+    let game = createGame({ ENG: ["F BAR", "F NWY"] });
+    let order = game.parse_order("F NWY S F BAR - STP/NC");
+    assert.strictEqual(order.coast, "nc");
+    assert.strictEqual(game.format_order(order), "F NWY S F BAR - STP/NC");
+    assert.strictEqual(order.describe(game), "Fleet in Norway supports Fleet Barents Sea → St Petersburg (North Coast)");
+    assert.ok(import_order(order.export()).equals(order));
+  });
+
+  test("supports saved without a coast import with none", () => {
+    let exported = new SupportMoveOrder("NWY", "STP", "BAR").export();
+    delete exported.coast;
+    assert.strictEqual(import_order(exported).coast, "");
+  });
+});
+
+test.describe("coast inference into split-coast provinces", () => {
+  test("the only coast a fleet can reach is filled in", () => {
+    let game = createGame({ ENG: ["F BAR"], GER: ["F BOT"] });
+    assert.strictEqual(game.infer_order_coast(new MoveOrder("BAR", "STP")).coast, "nc");
+    assert.strictEqual(game.infer_order_coast(new MoveOrder("BOT", "STP")).coast, "sc");
+    assert.strictEqual(game.parse_order("F BOT - STP").coast, "sc");
+  });
+
+  test("a coast is required when a fleet can reach both", () => {
+    let game = createGame({ FRA: ["F MAO"] });
+    assert.strictEqual(game.validate_order(new MoveOrder("MAO", "SPA"), "FRA").code, orderValidationEnum["coast required"]);
+    assert.throws(() => game.parse_order("F MAO - SPA"), /A coast of SPA must be specified \(nc, sc\)/);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for {@link GameData#get_convoy_routes}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { ConvoyOrder } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+let routes = (game, start, end) => game.get_convoy_routes(start, end).routes.map(route => route.join(" ")).sort();
+
+test.describe("get_convoy_routes", () => {
+  test("finds a single fleet", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH"] });
+    assert.deepStrictEqual(game.get_convoy_routes("LON", "NWY"), { routes: [["NTH"]], ordered: false });
+  });
+
+  test("lists the fleets of a chain in order", () => {
+    let game = createGame({ ENG: ["A LON", "F MAO", "F ENG"] });
+    assert.deepStrictEqual(routes(game, "LON", "POR"), ["ENG MAO"]);
+  });
+
+  test("finds every distinct chain", () => {
+    let game = createGame({ ENG: ["A EDI", "F NTH", "F NWG"] });
+    assert.deepStrictEqual(routes(game, "EDI", "NWY"), ["NTH", "NTH NWG", "NWG", "NWG NTH"]);
+  });
+
+  test("leaves out fleets that aren't on the way", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH", "F HEL", "F DEN"] });
+    assert.deepStrictEqual(routes(game, "LON", "NWY"), ["NTH"]);
+  });
+
+  test("needs fleets at sea", () => {
+    let game = createGame({ GER: ["A KIE", "F DEN", "A HEL"] });
+    assert.deepStrictEqual(routes(game, "KIE", "SWE"), []);
+    assert.deepStrictEqual(routes(game, "KIE", "KIE"), []);
+  });
+
+  test("reports whether every fleet of a chain was ordered to convoy", () => {
+    let game = createGame({ ENG: ["A LON", "F ENG", "F MAO"] });
+    assert.strictEqual(game.get_convoy_routes("LON", "POR").ordered, false);
+    game.state.orders.ENG = { ENG: new ConvoyOrder("ENG", "LON", "POR") };
+    assert.strictEqual(game.get_convoy_routes("LON", "POR").ordered, false);
+    game.state.orders.ENG.MAO = new ConvoyOrder("MAO", "LON", "NAF");
+    assert.strictEqual(game.get_convoy_routes("LON", "POR").ordered, false);
+    game.state.orders.ENG.MAO = new ConvoyOrder("MAO", "LON", "POR");
+    assert.strictEqual(game.get_convoy_routes("LON", "POR").ordered, true);
+  });
+});
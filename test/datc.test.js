@@ -0,0 +1,453 @@
+/**
+ * Cases from the Diplomacy Adjudicator Test Cases (DATC), played on the part of the standard map in `fixtures/standard-map.js`.
+ * Case numbers refer to section 6 of the DATC. Run with `node --test test/*.test.js`.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, unitTypeEnum, orderTypeEnum, orderResultEnum, orderValidationEnum,
+  HoldOrder, MoveOrder, ConvoyOrder, SupportHoldOrder, SupportMoveOrder, RetreatOrder, BuildOrder, PassOrder, DisbandOrder
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+const { success, fail, dislodged } = orderResultEnum;
+
+/**
+ * Store `orders` for the nations that own the ordered units.
+ * @returns {Array.<import("../utils.js").Order>} `orders`
+ */
+function give(game, ...orders) {
+  for (let order of orders) {
+    let country = game.get_unit_owner_id(order.province);
+    game.state.orders[country] = game.state.orders[country] || {};
+    game.state.orders[country][order.province] = order;
+  }
+  return orders;
+}
+
+/** Give `orders`, adjudicate them and return the result of each. */
+function adjudicate(game, ...orders) {
+  give(game, ...orders);
+  game.adjudicate_movement();
+  return orders.map(order => order.result);
+}
+
+/** Return whether `order` is among the valid orders of the unit it orders. */
+function isValid(game, order) {
+  return game.get_valid_orders(game.get_unit(order.province)).some(o => o.equals(order));
+}
+
+/** Give `orders` and advance to the retreat phase, returning the dislodgement at `province`. */
+function dislodge(game, province, ...orders) {
+  give(game, ...orders);
+  game.advance_phase();
+  assert.strictEqual(game.phase, phaseEnum["Retreating"]);
+  return game.history[game.history.length - 2].dislodgements[province];
+}
+
+/** Store retreat orders for the nations whose units were dislodged. */
+function retreat(game, ...orders) {
+  let dislodgements = game.history[game.history.length - 2].dislodgements;
+  for (let order of orders) {
+    let country = dislodgements[order.province].country;
+    game.state.retreats[country] = game.state.retreats[country] || {};
+    game.state.retreats[country][order.province] = order;
+  }
+  return orders;
+}
+
+/** Create a game in the adjustment phase, with `toBuild` and optionally the supply centers of each nation overridden. */
+function adjustments(units, toBuild, supplyCenters = {}) {
+  let game = createGame(units, { season: seasonEnum.Fall });
+  for (let [country, count] of Object.entries(toBuild)) game.state.nations[country].toBuild = count;
+  for (let [country, centers] of Object.entries(supplyCenters)) game.state.nations[country].supplyCenters = centers;
+  game.state.adjustments = {};
+  game.phase = phaseEnum["Creating/Disbanding"];
+  return game;
+}
+
+test.describe("6.A basic checks", () => {
+  test("6.A.1 moving to an area that is not a neighbour", () => {
+    let game = createGame({ ENG: ["F NTH"] });
+    let order = new MoveOrder("NTH", "PIC", "c");
+    assert.ok(!isValid(game, order));
+    assert.strictEqual(game.validate_order(order, "ENG").code, orderValidationEnum["not adjacent"]);
+    assert.deepStrictEqual(adjudicate(game, order), [fail]);
+  });
+
+  test("6.A.2 move army to sea", () => {
+    let game = createGame({ ENG: ["A LVP"] });
+    assert.ok(!isValid(game, new MoveOrder("LVP", "IRI")));
+    assert.deepStrictEqual(adjudicate(game, new MoveOrder("LVP", "IRI")), [fail]);
+  });
+
+  test("6.A.3 move fleet to land", () => {
+    let game = createGame({ GER: ["F KIE"] });
+    assert.ok(!isValid(game, new MoveOrder("KIE", "MUN")));
+    assert.deepStrictEqual(adjudicate(game, new MoveOrder("KIE", "MUN")), [fail]);
+  });
+
+  test("6.A.4 move to own sector", () => {
+    let game = createGame({ GER: ["F KIE"] });
+    assert.ok(!isValid(game, new MoveOrder("KIE", "KIE", "c")));
+  });
+
+  test("6.A.6 ordering a unit of another country", () => {
+    let game = createGame({ ENG: ["F LON"] });
+    assert.strictEqual(game.validate_order(new MoveOrder("LON", "NTH"), "GER").code, orderValidationEnum["not owned"]);
+  });
+
+  test("6.A.7 only armies can be convoyed", () => {
+    let game = createGame({ ENG: ["F LON", "F NTH"] });
+    assert.ok(!isValid(game, new ConvoyOrder("NTH", "LON", "BEL")));
+    assert.strictEqual(game.validate_order(new MoveOrder("LON", "BEL", "", true), "ENG").valid, false);
+  });
+
+  test("6.A.8 support to hold yourself is not possible", () => {
+    let game = createGame({ GER: ["A MUN", "A RUH"], FRA: ["A BUR"] });
+    assert.ok(!isValid(game, new SupportHoldOrder("BUR", "BUR")));
+    let results = adjudicate(game, new MoveOrder("MUN", "BUR"), new SupportMoveOrder("RUH", "BUR", "MUN"), new SupportHoldOrder("BUR", "BUR"));
+    assert.deepStrictEqual(results, [success, success, dislodged]);
+  });
+
+  test("6.A.9 fleets must follow coast if not on sea", () => {
+    let game = createGame({ FRA: ["F BRE"] });
+    assert.ok(!isValid(game, new MoveOrder("BRE", "PAR")));
+    assert.ok(isValid(game, new MoveOrder("BRE", "PIC", "c")));
+  });
+
+  test("6.A.10 support on unreachable destination not possible", () => {
+    let game = createGame({ FRA: ["F MAO", "A BRE"], ENG: ["A PAR"] });
+    assert.ok(!isValid(game, new SupportMoveOrder("MAO", "PAR", "BRE")));
+    let results = adjudicate(game, new MoveOrder("BRE", "PAR"), new SupportMoveOrder("MAO", "PAR", "BRE"), new HoldOrder("PAR"));
+    assert.deepStrictEqual(results, [fail, fail, success]);
+  });
+
+  test("6.A.11 simple bounce", () => {
+    let game = createGame({ FRA: ["A PAR"], GER: ["A MUN"] });
+    assert.deepStrictEqual(adjudicate(game, new MoveOrder("PAR", "BUR"), new MoveOrder("MUN", "BUR")), [fail, fail]);
+    assert.deepStrictEqual(game.state.contested, ["BUR"]);
+  });
+
+  test("6.A.12 bounce of three units", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A MUN"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new MoveOrder("MAR", "BUR"), new MoveOrder("MUN", "BUR"));
+    assert.deepStrictEqual(results, [fail, fail, fail]);
+  });
+});
+
+test.describe("6.B coastal issues", () => {
+  test("6.B.1 moving with unspecified coast when coast is necessary", () => {
+    let game = createGame({ FRA: ["F POR"] });
+    assert.strictEqual(game.validate_order(new MoveOrder("POR", "SPA"), "FRA").valid, false);
+    assert.deepStrictEqual(adjudicate(game, new MoveOrder("POR", "SPA")), [fail]);
+  });
+
+  test("6.B.3 moving with wrong coast when coast is not necessary", () => {
+    let game = createGame({ FRA: ["F GAS"] });
+    let order = new MoveOrder("GAS", "SPA", "sc");
+    assert.ok(!isValid(game, order));
+    assert.strictEqual(game.validate_order(order, "FRA").code, orderValidationEnum["invalid coast"]);
+    assert.deepStrictEqual(adjudicate(game, order), [fail]);
+  });
+
+  test("6.B.4 support to unreachable coast allowed", () => {
+    let game = createGame({ FRA: ["F GAS", "F MAR"], GER: ["F WES"] });
+    assert.ok(isValid(game, new SupportMoveOrder("MAR", "SPA", "GAS")));
+    let results = adjudicate(game, new MoveOrder("GAS", "SPA", "nc"), new SupportMoveOrder("MAR", "SPA", "GAS"), new MoveOrder("WES", "SPA", "sc"));
+    assert.deepStrictEqual(results, [success, success, fail]);
+  });
+
+  test("6.B.5 support from unreachable coast not allowed", () => {
+    let game = createGame({ FRA: ["F MAR", "F SPA/NC"], GER: ["F LYO"] });
+    assert.ok(!isValid(game, new SupportMoveOrder("SPA", "LYO", "MAR")));
+    let results = adjudicate(game, new MoveOrder("MAR", "LYO"), new SupportMoveOrder("SPA", "LYO", "MAR"), new HoldOrder("LYO"));
+    assert.deepStrictEqual(results, [fail, fail, success]);
+  });
+
+  test("6.B.6 support can be cut with other coast", () => {
+    let game = createGame({ ENG: ["F IRI", "F NAO"], FRA: ["F SPA/NC", "F MAO"], GER: ["F LYO"] });
+    let results = adjudicate(game,
+      new SupportMoveOrder("IRI", "MAO", "NAO"), new MoveOrder("NAO", "MAO"),
+      new SupportHoldOrder("SPA", "MAO"), new HoldOrder("MAO"),
+      new MoveOrder("LYO", "SPA", "sc"));
+    assert.deepStrictEqual(results, [success, success, fail, dislodged, fail]);
+  });
+
+  test("a fleet's orders depend on the coast it is on", () => {
+    let destinations = game => game.get_valid_orders(game.get_unit("SPA")).filter(o => o.type == orderTypeEnum.move).map(o => o.dest).sort();
+    assert.deepStrictEqual(destinations(createGame({ FRA: ["F SPA/NC"] })), ["GAS", "MAO", "POR"]);
+    assert.deepStrictEqual(destinations(createGame({ FRA: ["F SPA/SC"] })), ["LYO", "MAO", "MAR", "POR", "WES"]);
+  });
+});
+
+test.describe("6.C circular movement", () => {
+  test("6.C.1 three army circular movement", () => {
+    let game = createGame({ FRA: ["A PAR", "A BUR", "A PIC"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new MoveOrder("BUR", "PIC"), new MoveOrder("PIC", "PAR"));
+    assert.deepStrictEqual(results, [success, success, success]);
+  });
+
+  test("6.C.3 a disrupted three army circular movement", () => {
+    let game = createGame({ FRA: ["A PAR", "A BUR", "A PIC", "A BRE"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new MoveOrder("BUR", "PIC"), new MoveOrder("PIC", "PAR"), new MoveOrder("BRE", "PIC"));
+    assert.deepStrictEqual(results, [fail, fail, fail, fail]);
+  });
+});
+
+test.describe("6.D supports and dislodges", () => {
+  test("6.D.1 supported hold can prevent dislodgement", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR", "A MUN"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new HoldOrder("BUR"), new SupportHoldOrder("MUN", "BUR"));
+    assert.deepStrictEqual(results, [fail, success, success, success]);
+  });
+
+  test("6.D.2 a move cuts support on hold", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR", "A MUN"], ENG: ["A RUH"] });
+    let results = adjudicate(game,
+      new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"),
+      new HoldOrder("BUR"), new SupportHoldOrder("MUN", "BUR"), new MoveOrder("RUH", "MUN"));
+    assert.deepStrictEqual(results, [success, success, dislodged, fail, fail]);
+  });
+
+  test("6.D.3 a move cuts support on move", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR", "A BEL"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new HoldOrder("BUR"), new MoveOrder("BEL", "PIC"));
+    assert.deepStrictEqual(results, [fail, fail, success, fail]);
+  });
+
+  test("6.D.4 support to hold on unit supporting a hold allowed", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR", "A MUN"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new SupportHoldOrder("BUR", "MUN"), new SupportHoldOrder("MUN", "BUR"));
+    assert.deepStrictEqual(results, [fail, success, fail, success]);
+  });
+
+  test("6.D.9 support to move on holding unit not allowed", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR", "A BEL"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new HoldOrder("BUR"), new SupportMoveOrder("BEL", "PIC", "BUR"));
+    assert.deepStrictEqual(results.slice(0, 3), [success, success, dislodged]);
+  });
+
+  test("6.D.10 self dislodgment prohibited", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC", "A BUR"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new HoldOrder("BUR"));
+    assert.deepStrictEqual(results, [fail, success, success]);
+  });
+
+  test("6.D.15 defender can not cut support for attack on itself", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR"] });
+    let results = adjudicate(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new MoveOrder("BUR", "PIC"));
+    assert.deepStrictEqual(results, [success, success, dislodged]);
+  });
+});
+
+test.describe("6.F convoys", () => {
+  test("a simple convoy", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH"] });
+    assert.ok(game.convoy_pathfind(game.get_province("LON")).includes("NWY"));
+    assert.ok(isValid(game, new MoveOrder("LON", "NWY", "", true)));
+    assert.ok(isValid(game, new ConvoyOrder("NTH", "LON", "NWY")));
+    assert.deepStrictEqual(adjudicate(game, new MoveOrder("LON", "NWY", "", true), new ConvoyOrder("NTH", "LON", "NWY")), [success, success]);
+  });
+
+  test("a convoy through two fleets", () => {
+    let game = createGame({ ENG: ["A LON", "F ENG", "F MAO"] });
+    let results = adjudicate(game, new MoveOrder("LON", "SPA", "", true), new ConvoyOrder("ENG", "LON", "SPA"), new ConvoyOrder("MAO", "LON", "SPA"));
+    assert.deepStrictEqual(results, [success, success, success]);
+  });
+
+  test("6.F.1 no convoy in coastal areas", () => {
+    let game = createGame({ ENG: ["A YOR", "F LON"] });
+    assert.ok(!game.convoy_pathfind(game.get_province("YOR")).includes("WAL"));
+    assert.strictEqual(game.validate_order(new MoveOrder("YOR", "BEL", "", true), "ENG").code, orderValidationEnum["no convoy path"]);
+  });
+
+  test("6.F.2 an army being convoyed can bounce as normal", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH"], FRA: ["A PIC"] });
+    let results = adjudicate(game, new MoveOrder("LON", "BEL", "", true), new ConvoyOrder("NTH", "LON", "BEL"), new MoveOrder("PIC", "BEL"));
+    assert.deepStrictEqual(results, [fail, success, fail]);
+  });
+
+  test("6.F.3 an army being convoyed can receive support", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH", "F ENG"], FRA: ["A PIC"] });
+    let results = adjudicate(game,
+      new MoveOrder("LON", "BEL", "", true), new ConvoyOrder("NTH", "LON", "BEL"),
+      new SupportMoveOrder("ENG", "BEL", "LON"), new MoveOrder("PIC", "BEL"));
+    assert.deepStrictEqual(results, [success, success, success, fail]);
+  });
+
+  test("a convoyed move fails when the convoying fleet is dislodged", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH"], GER: ["F HOL", "F HEL", "F DEN"] });
+    let results = adjudicate(game,
+      new MoveOrder("LON", "HOL", "", true), new ConvoyOrder("NTH", "LON", "HOL"),
+      new HoldOrder("HOL"), new SupportMoveOrder("HEL", "NTH", "DEN"), new MoveOrder("DEN", "NTH"));
+    assert.deepStrictEqual(results, [fail, dislodged, success, success, success]);
+  });
+});
+
+test.describe("6.H retreating", () => {
+  test("6.H.3 no convoy during retreat", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH"], FRA: ["F ENG", "F WAL"] });
+    let dislodgement = dislodge(game, "LON", new HoldOrder("LON"), new HoldOrder("NTH"), new MoveOrder("ENG", "LON", "c"), new SupportMoveOrder("WAL", "LON", "ENG"));
+    assert.deepStrictEqual(game.get_valid_retreats(dislodgement).map(o => o.dest), ["YOR"]);
+  });
+
+  test("6.H.5 a unit may not retreat to the area from which it is attacked", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR", "A RUH"], ENG: ["A BEL"] });
+    let dislodgement = dislodge(game, "BUR", new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"));
+    assert.deepStrictEqual(dislodgement, { unit: { province: "BUR", coast: "", type: unitTypeEnum.Army }, from: "PAR", country: "GER" });
+    assert.deepStrictEqual(game.get_valid_retreats(dislodgement).map(o => o.dest).sort(), ["GAS", "MAR", "MUN"]);
+  });
+
+  test("6.H.6 unit may not retreat to a contested area", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC", "A MAR", "A BRE"], GER: ["A BUR"] });
+    let dislodgement = dislodge(game, "BUR", new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"), new MoveOrder("MAR", "GAS"), new MoveOrder("BRE", "GAS"));
+    let retreats = game.get_valid_retreats(dislodgement).map(o => o.dest).sort();
+    assert.deepStrictEqual(retreats, ["BEL", "MUN", "RUH"]);
+    retreat(game, new RetreatOrder("BUR", "GAS"));
+    game.resolve_retreats();
+    assert.strictEqual(game.state.retreats.GER.BUR.result, fail);
+  });
+
+  test("6.H.7 multiple retreat to same area will disband units", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC", "F ENG", "F NTH"], GER: ["A BUR", "A BEL"] });
+    dislodge(game, "BUR",
+      new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"),
+      new MoveOrder("ENG", "BEL", "c"), new SupportMoveOrder("NTH", "BEL", "ENG"));
+    let orders = retreat(game, new RetreatOrder("BUR", "RUH"), new RetreatOrder("BEL", "RUH"));
+    game.advance_phase();
+    assert.deepStrictEqual(orders.map(o => o.result), [fail, fail]);
+    assert.strictEqual(game.get_unit("RUH"), null);
+    assert.strictEqual(game.state.nations.GER.units.length, 0);
+  });
+
+  test("a dislodged unit retreats to a free neighbour", () => {
+    let game = createGame({ FRA: ["A PAR", "A PIC"], GER: ["A BUR"] });
+    dislodge(game, "BUR", new MoveOrder("PAR", "BUR"), new SupportMoveOrder("PIC", "BUR", "PAR"));
+    let [order] = retreat(game, new RetreatOrder("BUR", "RUH"));
+    game.advance_phase();
+    assert.strictEqual(order.result, success);
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+    assert.deepStrictEqual(game.state.nations.GER.units, [{ province: "RUH", coast: "", type: unitTypeEnum.Army }]);
+  });
+});
+
+test.describe("6.I building", () => {
+  let builds = (game, country) => game.get_valid_build_orders(country).map(o => o.id).sort();
+
+  test("builds are only possible in free owned home supply centers", () => {
+    let game = adjustments({ FRA: ["A PAR"] }, { FRA: 2 }, { FRA: ["BRE", "PAR", "BEL"] });
+    assert.deepStrictEqual(builds(game, "FRA"), [new BuildOrder("FRA", "BRE", unitTypeEnum.Army), new BuildOrder("FRA", "BRE", unitTypeEnum.Fleet, "c"), new PassOrder("FRA")].map(o => o.id).sort());
+  });
+
+  test("6.I.1 too many build orders", () => {
+    let game = adjustments({}, { GER: 1 });
+    game.state.adjustments.GER = [new BuildOrder("GER", "KIE", unitTypeEnum.Army), new BuildOrder("GER", "MUN", unitTypeEnum.Army)];
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.GER.map(o => o.result), [success, fail]);
+    assert.deepStrictEqual(game.state.nations.GER.units, [{ province: "KIE", coast: "", type: unitTypeEnum.Army }]);
+  });
+
+  test("6.I.2 fleets can not be built in land areas", () => {
+    let game = adjustments({}, { GER: 1 });
+    let order = new BuildOrder("GER", "MUN", unitTypeEnum.Fleet);
+    assert.ok(!builds(game, "GER").includes(order.id));
+    game.state.adjustments.GER = [order];
+    game.advance_phase();
+    assert.strictEqual(order.result, fail);
+    assert.strictEqual(game.state.nations.GER.units.length, 0);
+  });
+
+  test("6.I.3 supply center must be empty for building", () => {
+    let game = adjustments({ GER: ["A KIE"] }, { GER: 1 });
+    assert.deepStrictEqual(builds(game, "GER"), [new BuildOrder("GER", "MUN", unitTypeEnum.Army), new PassOrder("GER")].map(o => o.id).sort());
+  });
+
+  test("6.I.5 building in home supply center that is not owned", () => {
+    let game = adjustments({}, { GER: 1 }, { GER: ["KIE", "HOL"], FRA: ["BRE", "PAR", "MAR", "MUN"] });
+    assert.ok(!builds(game, "GER").includes(new BuildOrder("GER", "MUN", unitTypeEnum.Army).id));
+    assert.strictEqual(game.validate_order(new BuildOrder("GER", "MUN", unitTypeEnum.Army), "GER").code, orderValidationEnum["invalid build"]);
+  });
+
+  test("6.I.6 building in owned supply center that is not a home supply center", () => {
+    let game = adjustments({}, { GER: 1 }, { GER: ["KIE", "MUN", "HOL"] });
+    assert.ok(!builds(game, "GER").includes(new BuildOrder("GER", "HOL", unitTypeEnum.Army).id));
+    assert.strictEqual(game.validate_order(new BuildOrder("GER", "HOL", unitTypeEnum.Army), "GER").code, orderValidationEnum["invalid build"]);
+  });
+
+  test("6.I.7 only one build in a home supply center", () => {
+    let game = adjustments({}, { GER: 2 });
+    game.state.adjustments.GER = [new BuildOrder("GER", "MUN", unitTypeEnum.Army), new BuildOrder("GER", "MUN", unitTypeEnum.Army)];
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.GER.map(o => o.result), [success, fail]);
+  });
+
+  test("a pass uses up a build", () => {
+    let game = adjustments({}, { GER: 1 });
+    game.state.adjustments.GER = [new PassOrder("GER"), new BuildOrder("GER", "KIE", unitTypeEnum.Army)];
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.GER.map(o => o.result), [success, fail]);
+  });
+});
+
+test.describe("6.J civil disorder and disbands", () => {
+  test("6.J.1 too many remove orders", () => {
+    let game = adjustments({ FRA: ["A PAR", "A PIC"] }, { FRA: -1 });
+    game.state.adjustments.FRA = [new DisbandOrder("FRA", "LYO"), new DisbandOrder("FRA", "PIC"), new DisbandOrder("FRA", "PAR")];
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.FRA.map(o => o.result), [fail, success, fail]);
+    assert.deepStrictEqual(game.state.nations.FRA.units.map(u => u.province), ["PAR"]);
+  });
+
+  test("6.J.2 removing the same unit twice", () => {
+    let game = adjustments({ FRA: ["A PAR", "A PIC", "A BUR"] }, { FRA: -2 });
+    game.state.adjustments.FRA = [new DisbandOrder("FRA", "PAR"), new DisbandOrder("FRA", "PAR")];
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.FRA.map(o => [o.province, o.result]), [["PAR", success], ["PAR", fail], ["BUR", success]]);
+  });
+
+  test("6.J.3 civil disorder two armies with different distance", () => {
+    let game = adjustments({ FRA: ["A PAR", "A BEL", "A HOL"] }, { FRA: -1 });
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.FRA.map(o => [o.province, o.result]), [["HOL", success]]);
+  });
+
+  test("6.J.7 civil disorder two fleets and army with equal distance", () => {
+    let game = adjustments({ GER: ["A RUH", "F HEL", "F HOL", "A KIE"] }, { GER: -1 });
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.GER.map(o => o.province), ["HEL"]);
+  });
+
+  test("civil disorder counts the distance of fleets over land too", () => {
+    let game = adjustments({ FRA: ["F ENG", "A RUH", "A BRE"] }, { FRA: -1 }, { FRA: ["PAR"] });
+    assert.strictEqual(game.distance_from_home(game.get_unit("ENG"), "FRA"), 2);
+    assert.strictEqual(game.distance_from_home(game.get_unit("RUH"), "FRA"), 2);
+    game.advance_phase();
+    assert.deepStrictEqual(game.history[0].adjustments.FRA.map(o => o.province), ["ENG"]);
+  });
+});
+
+test("a full year", () => {
+  let game = createGame({ FRA: ["A PAR", "A MAR", "F BRE"], GER: ["A BUR", "A MUN", "F KIE"], ENG: ["F LON", "F NTH", "A YOR"] });
+  give(game, new MoveOrder("PAR", "BUR"), new SupportMoveOrder("MAR", "BUR", "PAR"), new MoveOrder("YOR", "NWY", "", true), new ConvoyOrder("NTH", "YOR", "NWY"));
+  game.advance_phase();
+  assert.strictEqual(game.phase, phaseEnum["Retreating"]);
+  retreat(game, new RetreatOrder("BUR", "BEL"));
+  game.advance_phase();
+  assert.strictEqual(game.state.season, seasonEnum.Fall);
+  assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+
+  give(game, new MoveOrder("BUR", "MUN"), new SupportMoveOrder("MAR", "MUN", "BUR"), new MoveOrder("MUN", "RUH"));
+  game.advance_phase();
+  assert.strictEqual(game.phase, phaseEnum["Creating/Disbanding"]);
+  assert.deepStrictEqual(game.state.nations.FRA.supplyCenters.sort(), ["BRE", "MAR", "MUN", "PAR"]);
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(game.state.nations).map(([id, nation]) => [id, nation.toBuild])), { ENG: 1, FRA: 1, GER: -1 });
+
+  game.state.adjustments.FRA = [new BuildOrder("FRA", "PAR", unitTypeEnum.Army)];
+  game.advance_phase();
+  assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+  assert.strictEqual(game.state.date, 1902);
+  assert.strictEqual(game.state.season, seasonEnum.Spring);
+  assert.ok(game.get_unit("PAR"));
+  assert.strictEqual(game.state.nations.GER.units.length, 2);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for {@link GameData#fill_default_orders} in each phase.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, orderTypeEnum, MoveOrder, SupportMoveOrder, BuildOrder, DisbandOrder, unitTypeEnum
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+/** Create a game in the adjustment phase with `toBuild` set for each nation. */
+function adjustments(units, toBuild) {
+  let game = createGame(units, { season: seasonEnum.Fall });
+  for (let [country, count] of Object.entries(toBuild)) game.state.nations[country].toBuild = count;
+  game.state.adjustments = {};
+  game.phase = phaseEnum["Creating/Disbanding"];
+  return game;
+}
+
+let describe = orders => orders.map(o => [o.type, o.province || o.country, !!o.isDefault]);
+
+test.describe("fill_default_orders", () => {
+  test("units without orders hold", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A MUN"] });
+    let move = new MoveOrder("PAR", "BUR");
+    game.state.orders.FRA = { PAR: move };
+    let filled = game.fill_default_orders();
+    assert.deepStrictEqual(describe(filled), [[orderTypeEnum.hold, "MAR", true], [orderTypeEnum.hold, "MUN", true]]);
+    assert.strictEqual(game.state.orders.FRA.PAR, move);
+    assert.ok(!move.isDefault);
+  });
+
+  test("dislodged units without retreats disband", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A BUR"] });
+    game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+    game.advance_phase();
+    assert.strictEqual(game.phase, phaseEnum["Retreating"]);
+    let filled = game.fill_default_orders();
+    assert.deepStrictEqual(describe(filled), [[orderTypeEnum.disband, "BUR", true]]);
+    assert.strictEqual(game.state.retreats.GER.BUR, filled[0]);
+  });
+
+  test("unused builds are passed", () => {
+    let game = adjustments({ FRA: ["A MAR"] }, { FRA: 2 });
+    game.state.adjustments.FRA = [new BuildOrder("FRA", "PAR", unitTypeEnum.Army)];
+    let filled = game.fill_default_orders();
+    assert.deepStrictEqual(describe(filled), [[orderTypeEnum.pass, "FRA", true]]);
+    assert.strictEqual(game.state.adjustments.FRA.length, 2);
+  });
+
+  test("missing disbands are taken from civil disorder", () => {
+    let game = adjustments({ GER: ["A MUN", "A KIE", "A BEL"] }, { GER: -1 });
+    assert.deepStrictEqual(describe(game.fill_default_orders()), [[orderTypeEnum.disband, "BEL", true]]);
+  });
+
+  test("repeated disbands and disbands of other units are not counted", () => {
+    let game = adjustments({ GER: ["A MUN", "A RUH", "F KIE", "A BEL", "A HOL"], FRA: ["A PAR"] }, { GER: -2 });
+    game.state.adjustments.GER = [new DisbandOrder("GER", "RUH"), new DisbandOrder("GER", "RUH"), new DisbandOrder("GER", "PAR")];
+    let filled = game.fill_default_orders();
+    assert.strictEqual(filled.length, 1);
+    assert.strictEqual(filled[0].type, orderTypeEnum.disband);
+    assert.notStrictEqual(filled[0].province, "RUH");
+
+    game.advance_phase();
+    assert.strictEqual(game.state.nations.GER.units.length, 3);
+    assert.deepStrictEqual(game.state.nations.FRA.units.map(u => u.province), ["PAR"]);
+  });
+
+  test("nothing is filled in when enough disbands were given", () => {
+    let game = adjustments({ GER: ["A MUN", "A RUH", "F KIE", "A BEL"] }, { GER: -1 });
+    game.state.adjustments.GER = [new DisbandOrder("GER", "RUH"), new DisbandOrder("GER", "BEL")];
+    assert.deepStrictEqual(game.fill_default_orders(), []);
+  });
+});
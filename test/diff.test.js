@@ -0,0 +1,82 @@
+/**
+ * Tests for {@link GameData#diff_states}, played through a year on the map in `fixtures/standard-map.js`.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { unitTypeEnum, changeTypeEnum, MoveOrder, ConvoyOrder, SupportMoveOrder, RetreatOrder, BuildOrder } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+const army = province => ({ province, coast: "", type: unitTypeEnum.Army });
+
+/** Play Spring and Fall 1901 and the adjustments after them, leaving the game in Spring 1902. */
+function playYear() {
+  let game = createGame({ FRA: ["A PAR", "A MAR", "F BRE"], GER: ["A BUR", "A MUN", "F KIE"], ENG: ["F LON", "F NTH", "A YOR"] });
+  let give = (country, ...orders) => {
+    game.state.orders[country] = {};
+    for (let order of orders) game.state.orders[country][order.province] = order;
+  };
+  give("FRA", new MoveOrder("PAR", "BUR"), new SupportMoveOrder("MAR", "BUR", "PAR"));
+  give("ENG", new MoveOrder("YOR", "NWY", "", true), new ConvoyOrder("NTH", "YOR", "NWY"));
+  game.advance_phase();
+  game.state.retreats.GER = { BUR: new RetreatOrder("BUR", "BEL") };
+  game.advance_phase();
+  give("FRA", new MoveOrder("BUR", "MUN"), new SupportMoveOrder("MAR", "MUN", "BUR"));
+  give("GER", new MoveOrder("MUN", "RUH"));
+  game.advance_phase();
+  game.state.adjustments.FRA = [new BuildOrder("FRA", "PAR", unitTypeEnum.Army)];
+  game.advance_phase();
+  assert.strictEqual(game.history.length, 5);
+  return game;
+}
+
+/** Diff the entries of `history` at `index` and the one after it. */
+let diff = (game, index) => game.diff_states(game.history[index], game.history[index + 1]);
+
+test.describe("diff_states", () => {
+  test("lists moves and dislodgements after movement", () => {
+    let game = playYear();
+    assert.deepStrictEqual(diff(game, 0), [
+      { type: changeTypeEnum.move, country: "ENG", unit: army("YOR"), to: { province: "NWY", coast: "" } },
+      { type: changeTypeEnum.move, country: "FRA", unit: army("PAR"), to: { province: "BUR", coast: "" } },
+      { type: changeTypeEnum.dislodge, country: "GER", unit: army("BUR"), by: "PAR" }
+    ]);
+  });
+
+  test("lists retreats", () => {
+    let game = playYear();
+    assert.deepStrictEqual(diff(game, 1), [
+      { type: changeTypeEnum.retreat, country: "GER", unit: army("BUR"), to: { province: "BEL", coast: "" } }
+    ]);
+  });
+
+  test("lists captured supply centers at the end of Fall", () => {
+    let game = playYear();
+    let changes = diff(game, 2);
+    assert.deepStrictEqual(changes.filter(c => c.type == changeTypeEnum.move).map(c => [c.country, c.unit.province, c.to.province]), [["FRA", "BUR", "MUN"], ["GER", "MUN", "RUH"]]);
+    let captures = changes.filter(c => c.type == changeTypeEnum.capture).map(c => [c.province, c.from, c.country]).sort();
+    assert.deepStrictEqual(captures, [["BEL", "", "GER"], ["MUN", "GER", "FRA"], ["NWY", "", "ENG"]]);
+  });
+
+  test("lists builds and civil disorder disbands", () => {
+    let game = playYear();
+    assert.deepStrictEqual(diff(game, 3), [
+      { type: changeTypeEnum.build, country: "FRA", unit: army("PAR"), to: { province: "PAR", coast: "" } },
+      { type: changeTypeEnum.disband, country: "GER", unit: army("BEL") }
+    ]);
+  });
+
+  test("resolved states keep the units they were resolved with", () => {
+    let game = playYear();
+    assert.deepStrictEqual(game.history[1].nations.GER.units.map(u => u.province).sort(), ["KIE", "MUN"]);
+    assert.deepStrictEqual(game.history[3].nations.GER.units.map(u => u.province).sort(), ["BEL", "KIE", "RUH"]);
+    assert.deepStrictEqual(game.history[4].nations.GER.units.map(u => u.province).sort(), ["KIE", "RUH"]);
+  });
+
+  test("states that are not consecutive are compared by their units", () => {
+    let game = playYear();
+    let changes = game.diff_states(game.history[0], game.history[4]);
+    assert.deepStrictEqual(changes.filter(c => c.country == "GER" && c.type != changeTypeEnum.capture).map(c => [c.type, c.unit.province]).sort(), [
+      [changeTypeEnum.dislodge, "BUR"], [changeTypeEnum.build, "RUH"], [changeTypeEnum.disband, "MUN"]
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for {@link import_dpjudge_map}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { import_dpjudge_map, validate_map } = require("../utils.js");
+
+const map = `
+# A corner of the standard map
+Barents Sea = BAR
+Finland = FIN
+Gulf of Bothnia = BOT bothnia
+Norway = NWY nor
+St Petersburg = STP stpete
+Moscow = MOS
+
+VICTORY 3
+BEGIN 1901 SPRING MOVEMENT
+
+RUSSIA (RUSSIAN) STP MOS
+F STP/SC
+A MOS
+SWEDEN NWY
+A NWY
+UNOWNED FIN
+
+WATER BAR ABUTS NWY stp
+WATER BOT ABUTS FIN stp
+COAST FIN ABUTS bot NWY STP
+COAST NWY ABUTS bar FIN STP
+LAND MOS ABUTS STP
+COAST STP ABUTS FIN MOS NWY
+COAST STP/NC ABUTS BAR nwy
+COAST STP/SC ABUTS BOT fin
+`;
+
+let route = (mapInfo, p0, c0, p1, c1) => mapInfo.routes.find(r =>
+  (r.p0 == p0 && r.c0 == c0 && r.p1 == p1 && r.c1 == c1) || (r.p0 == p1 && r.c0 == c1 && r.p1 == p0 && r.c1 == c0));
+
+test.describe("import_dpjudge_map", () => {
+  test("reads provinces, coasts and supply centers", () => {
+    let mapInfo = import_dpjudge_map(map, { name: "North", coordinates: { STP: { x: 0.9, y: 0.8 } } });
+    assert.deepStrictEqual(mapInfo.provinces.map(p => p.id).sort(), ["BAR", "BOT", "FIN", "MOS", "NWY", "STP"]);
+    let stp = mapInfo.provinces.find(p => p.id == "STP");
+    assert.strictEqual(stp.name, "St Petersburg");
+    assert.deepStrictEqual([stp.x, stp.y], [0.9, 0.8]);
+    assert.deepStrictEqual(stp.coasts.map(c => [c.id, c.name, c.frigateStart]), [["nc", "North Coast", false], ["sc", "South Coast", true]]);
+    assert.deepStrictEqual(mapInfo.provinces.find(p => p.id == "FIN").coasts.map(c => c.id), ["c"]);
+    assert.ok(mapInfo.provinces.find(p => p.id == "BOT").water);
+    assert.deepStrictEqual(mapInfo.provinces.filter(p => p.supplyCenter).map(p => p.id).sort(), ["FIN", "MOS", "NWY", "STP"]);
+    assert.strictEqual(mapInfo.info.name, "North");
+    assert.strictEqual(mapInfo.info.toWin, 3);
+  });
+
+  test("reads powers, their home centers and starting units", () => {
+    let mapInfo = import_dpjudge_map(map);
+    assert.deepStrictEqual(mapInfo.countries.map(c => [c.id, c.name, c.supplyCenters]), [["RUS", "Russia", ["STP", "MOS"]], ["SWE", "Sweden", ["NWY"]]]);
+    let startUnits = Object.fromEntries(mapInfo.provinces.map(p => [p.id, p.startUnit]));
+    assert.deepStrictEqual([startUnits.STP, startUnits.MOS, startUnits.NWY, startUnits.FIN], [2, 1, 1, 0]);
+    assert.deepStrictEqual(Object.keys(mapInfo.playerConfigurations), ["2"]);
+  });
+
+  test("reads army and fleet routes by the case of each neighbour", () => {
+    let mapInfo = import_dpjudge_map(map);
+    assert.ok(route(mapInfo, "FIN", "", "STP", "", false));
+    assert.ok(route(mapInfo, "MOS", "", "STP", ""));
+    assert.ok(route(mapInfo, "BAR", "", "STP", "nc").water);
+    assert.ok(route(mapInfo, "NWY", "c", "STP", "nc").water);
+    assert.ok(route(mapInfo, "FIN", "c", "STP", "sc").water);
+    assert.ok(route(mapInfo, "BOT", "", "FIN", "c").water);
+    assert.ok(!route(mapInfo, "BOT", "", "NWY", "c"));
+    assert.ok(!mapInfo.routes.some(r => r.water && (r.p0 == "MOS" || r.p1 == "MOS")));
+  });
+
+  test("produces a map that passes validate_map", () => {
+    assert.deepStrictEqual(validate_map(import_dpjudge_map(map)), []);
+  });
+
+  test("rejects unknown directives on the line they appear", () => {
+    let text = map.replace("VICTORY 3", "VICTORY 3\nSTARTYEAR 1901");
+    assert.throws(() => import_dpjudge_map(text), /^Error: Line 11: unknown directive "STARTYEAR"\.$/);
+    assert.throws(() => import_dpjudge_map("Moscow = MOS\nlower MOS"), /Line 2: unknown directive "lower"/);
+  });
+
+  test("rejects powers whose home centers haven't been named", () => {
+    assert.throws(() => import_dpjudge_map("RUSSIA MOS\nMoscow = MOS\nLAND MOS ABUTS"), /Line 1: unknown directive "RUSSIA"/);
+  });
+
+  test("rejects malformed terrain and misplaced units", () => {
+    assert.throws(() => import_dpjudge_map("Moscow = MOS\nLAND MOS STP"), /Line 2: Expected "LAND ABBR ABUTS \.\.\."/);
+    assert.throws(() => import_dpjudge_map("A MOS"), /Line 1: Unit placed before any power/);
+    assert.throws(() => import_dpjudge_map("Moscow = MOS\nLAND MOS ABUTS STP"), /Unknown province STP/);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for {@link GameData#export}, {@link export_state} and {@link import_state}: a game must survive being sent as JSON.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GameData, unitTypeEnum, orderResultEnum, import_state, export_state, MoveOrder, ConvoyOrder, SupportMoveOrder, RetreatOrder,
+  BuildOrder, DisbandOrder, PassOrder
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+/** Play a year with every kind of order, leaving the game in Spring 1902. */
+function playYear() {
+  let game = createGame({ FRA: ["A PAR", "A MAR", "F BRE"], GER: ["A BUR", "A MUN", "F KIE"], ENG: ["F LON", "F NTH", "A YOR"] });
+  game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+  game.state.orders.ENG = { YOR: new MoveOrder("YOR", "NWY", "", true), NTH: new ConvoyOrder("NTH", "YOR", "NWY") };
+  game.advance_phase();
+  game.state.retreats.GER = { BUR: new RetreatOrder("BUR", "BEL") };
+  game.advance_phase();
+  game.state.orders.FRA = { BUR: new MoveOrder("BUR", "MUN"), MAR: new SupportMoveOrder("MAR", "MUN", "BUR") };
+  game.state.orders.GER = { MUN: new MoveOrder("MUN", "RUH") };
+  game.advance_phase();
+  game.state.adjustments.FRA = [new BuildOrder("FRA", "PAR", unitTypeEnum.Army), new PassOrder("FRA")];
+  game.advance_phase();
+  return game;
+}
+
+/** Send `game` through JSON and back. */
+let roundTrip = game => new GameData(JSON.parse(JSON.stringify(game.export())));
+
+test.describe("GameData export", () => {
+  test("survives a round trip through JSON", () => {
+    let game = playYear();
+    let copy = roundTrip(game);
+    assert.deepStrictEqual(copy.export(), game.export());
+    assert.deepStrictEqual(roundTrip(copy).export(), game.export());
+  });
+
+  test("restores orders of every kind as Order objects", () => {
+    let game = playYear();
+    let [spring, retreats, fall, adjustments] = roundTrip(game).history;
+    assert.ok(spring.orders.ENG.NTH instanceof ConvoyOrder);
+    assert.strictEqual(spring.orders.FRA.PAR.result, orderResultEnum.success);
+    assert.ok(retreats.retreats.GER.BUR instanceof RetreatOrder);
+    assert.ok(fall.orders.FRA.MAR instanceof SupportMoveOrder);
+    assert.ok(adjustments.adjustments.FRA[0] instanceof BuildOrder);
+    assert.ok(adjustments.adjustments.FRA[1] instanceof PassOrder);
+    let disband = adjustments.adjustments.GER[0];
+    assert.ok(disband instanceof DisbandOrder);
+    assert.ok(disband.isDefault);
+    assert.strictEqual(disband.describe(roundTrip(game).at(3)), "Disband Army in Belgium");
+  });
+
+  test("keeps dislodgements and contested provinces", () => {
+    let game = playYear();
+    let [spring] = roundTrip(game).history;
+    assert.deepStrictEqual(spring.dislodgements, { BUR: { unit: { province: "BUR", coast: "", type: unitTypeEnum.Army }, from: "PAR", country: "GER" } });
+    assert.deepStrictEqual(spring.contested, game.history[0].contested);
+  });
+
+  test("leaves out caches and runtime fields", () => {
+    let game = playYear();
+    game.get_valid_orders(game.get_unit("PAR"));
+    void game.playableCountryGroups;
+    let exported = game.export();
+    assert.deepStrictEqual(Object.keys(exported).sort(), ["history", "id", "map", "mapInfo", "name", "phase", "players", "users", "winner", "won"]);
+    let json = JSON.stringify(exported);
+    for (let field of ["orderCache", "convoyCache", "unitIndex", "countryGroupCache", "mapIndex", "\"text\""]) {
+      assert.ok(!json.includes(field), `${field} was exported`);
+    }
+  });
+
+  test("a copy plays on the same as the original", () => {
+    let game = playYear();
+    let copy = roundTrip(game);
+    for (let g of [game, copy]) {
+      g.state.orders.FRA = { MUN: new MoveOrder("MUN", "KIE") };
+      g.advance_phase();
+    }
+    assert.deepStrictEqual(copy.export(), game.export());
+  });
+});
+
+test.describe("export_state and import_state", () => {
+  test("copy states without sharing or changing them", () => {
+    let game = playYear();
+    for (let state of game.history) {
+      let exported = export_state(state);
+      let frozen = JSON.stringify(exported);
+      let imported = import_state(exported);
+      assert.strictEqual(JSON.stringify(exported), frozen);
+      assert.deepStrictEqual(export_state(imported), exported);
+      assert.notStrictEqual(imported.nations.FRA.units[0], state.nations.FRA.units[0]);
+    }
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * A small part of the standard Diplomacy map (the British Isles, France, the Low Countries, Iberia, Scandinavia and the North Sea),
+ * with England, France and Germany as the playable countries.
+ * Province ID's and routes match the standard map, so test cases from the DATC can be written as they appear there.
+ */
+const { GameData, phaseEnum, unitTypeEnum } = require("../../utils.js");
+
+const water = {
+  NAO: "North Atlantic Ocean", NWG: "Norwegian Sea", NTH: "North Sea", ENG: "English Channel", IRI: "Irish Sea",
+  MAO: "Mid-Atlantic Ocean", HEL: "Heligoland Bight", SKA: "Skagerrak", WES: "Western Mediterranean", LYO: "Gulf of Lyon",
+  BAR: "Barents Sea", BOT: "Gulf of Bothnia"
+};
+const inland = { PAR: "Paris", BUR: "Burgundy", RUH: "Ruhr", MUN: "Munich" };
+const coastal = {
+  CLY: "Clyde", EDI: "Edinburgh", LVP: "Liverpool", YOR: "Yorkshire", WAL: "Wales", LON: "London", BRE: "Brest", PIC: "Picardy",
+  BEL: "Belgium", HOL: "Holland", KIE: "Kiel", DEN: "Denmark", NWY: "Norway", SWE: "Sweden", GAS: "Gascony", MAR: "Marseilles",
+  POR: "Portugal", PIE: "Piedmont", NAF: "North Africa", FIN: "Finland"
+};
+const splitCoastal = { SPA: "Spain", STP: "St Petersburg" };
+const supplyCenters = ["LON", "EDI", "LVP", "BRE", "PAR", "MAR", "KIE", "MUN", "BEL", "HOL", "SPA", "POR", "DEN", "NWY", "SWE", "STP"];
+
+const armyRoutes = [
+  "CLY-EDI", "CLY-LVP", "EDI-LVP", "EDI-YOR", "LVP-YOR", "LVP-WAL", "WAL-YOR", "WAL-LON", "LON-YOR",
+  "BRE-PIC", "BRE-PAR", "BRE-GAS", "PIC-PAR", "PIC-BUR", "PIC-BEL", "PAR-BUR", "PAR-GAS", "GAS-BUR", "GAS-MAR", "GAS-SPA",
+  "MAR-BUR", "MAR-SPA", "MAR-PIE", "SPA-POR", "BEL-BUR", "BEL-RUH", "BEL-HOL", "HOL-RUH", "HOL-KIE", "RUH-BUR", "RUH-KIE",
+  "RUH-MUN", "KIE-MUN", "MUN-BUR", "KIE-DEN", "DEN-SWE", "SWE-NWY", "SWE-FIN", "NWY-FIN", "NWY-STP", "FIN-STP"
+];
+const fleetRoutes = [
+  "NAO-NWG", "NAO-CLY", "NAO-LVP", "NAO-IRI", "NAO-MAO",
+  "NWG-CLY", "NWG-EDI", "NWG-NTH", "NWG-NWY",
+  "NTH-EDI", "NTH-YOR", "NTH-LON", "NTH-ENG", "NTH-BEL", "NTH-HOL", "NTH-HEL", "NTH-DEN", "NTH-SKA", "NTH-NWY",
+  "ENG-LON", "ENG-WAL", "ENG-IRI", "ENG-MAO", "ENG-BRE", "ENG-PIC", "ENG-BEL",
+  "IRI-LVP", "IRI-WAL", "IRI-MAO",
+  "MAO-BRE", "MAO-GAS", "MAO-SPA/nc", "MAO-SPA/sc", "MAO-POR", "MAO-WES", "MAO-NAF",
+  "HEL-HOL", "HEL-KIE", "HEL-DEN", "SKA-DEN", "SKA-SWE", "SKA-NWY",
+  "WES-SPA/sc", "WES-LYO", "WES-NAF", "LYO-MAR", "LYO-SPA/sc", "LYO-PIE",
+  "CLY-EDI", "CLY-LVP", "EDI-YOR", "LVP-WAL", "WAL-LON", "LON-YOR", "BRE-PIC", "BRE-GAS", "PIC-BEL", "BEL-HOL", "HOL-KIE",
+  "KIE-DEN", "DEN-SWE", "SWE-NWY", "GAS-SPA/nc", "MAR-SPA/sc", "SPA/nc-POR", "SPA/sc-POR", "MAR-PIE",
+  "NWG-BAR", "BAR-NWY", "BAR-STP/nc", "NWY-STP/nc", "BOT-SWE", "BOT-FIN", "BOT-STP/sc", "SWE-FIN", "FIN-STP/sc"
+];
+
+/** Split "SPA/nc" into a province and a coast. Single-coast provinces use coast "c", and water provinces none. */
+function place(text) {
+  let [province, coast] = text.split("/");
+  return { province, coast: coast !== undefined ? coast.toLowerCase() : province in coastal ? "c" : "" };
+}
+
+function createMapInfo() {
+  let provinces = [];
+  let names = { ...water, ...inland, ...coastal, ...splitCoastal };
+  Object.keys(names).forEach((id, i) => {
+    let province = {
+      name: names[id], id, x: (i % 8) / 8, y: Math.floor(i / 8) / 5, startUnit: 0,
+      supplyCenter: supplyCenters.includes(id), water: id in water, coasts: [], transparency: ""
+    };
+    if (id in coastal) province.coasts = [{ name: "Coast", id: "c", x: province.x, y: province.y, frigateStart: false }];
+    if (id in splitCoastal) {
+      province.coasts = [
+        { name: "North Coast", id: "nc", x: province.x, y: province.y, frigateStart: false },
+        { name: "South Coast", id: "sc", x: province.x, y: province.y, frigateStart: false }
+      ];
+    }
+    provinces.push(province);
+  });
+
+  let routes = [];
+  for (let route of armyRoutes) {
+    let [p0, p1] = route.split("-");
+    routes.push({ p0, p1, c0: "", c1: "", water: false });
+  }
+  for (let route of fleetRoutes) {
+    let [from, to] = route.split("-").map(place);
+    routes.push({ p0: from.province, p1: to.province, c0: from.coast, c1: to.coast, water: true });
+  }
+
+  return {
+    routes,
+    provinces,
+    countries: [
+      { name: "England", id: "ENG", color: "#ff0000", supplyCenters: ["LON", "EDI", "LVP"] },
+      { name: "France", id: "FRA", color: "#0000ff", supplyCenters: ["BRE", "PAR", "MAR"] },
+      { name: "Germany", id: "GER", color: "#444444", supplyCenters: ["KIE", "MUN"] }
+    ],
+    playerConfigurations: { "3": { eliminate: [], combine: [], neutralEliminate: false } },
+    info: { date: 1901, name: "Standard (west)", image: "", toWin: 8 }
+  };
+}
+
+/**
+ * Create a game in the "Order Writing" phase with the given units, e.g. `{ ENG: ["F NTH", "A LON"], FRA: ["F SPA/SC"] }`.
+ * Every country starts with its home supply centers.
+ * @param {Object.<string, string[]>} units
+ * @param {{date?: number, season?: number}} [options]
+ * @returns {GameData}
+ */
+function createGame(units, options = {}) {
+  let mapInfo = createMapInfo();
+  let nations = {};
+  for (let country of mapInfo.countries) {
+    nations[country.id] = {
+      id: country.id,
+      neutral: false,
+      supplyCenters: country.supplyCenters.slice(),
+      units: (units[country.id] || []).map(text => {
+        let [type, location] = text.split(" ");
+        let { province, coast } = place(location);
+        return type == "A" ? { province, coast: "", type: unitTypeEnum.Army } : { province, coast, type: unitTypeEnum.Fleet };
+      })
+    };
+  }
+  return new GameData({
+    mapInfo, won: 0, winner: "", id: 1, name: "DATC", map: "standard", phase: phaseEnum["Order Writing"],
+    players: { ENG: "england", FRA: "france", GER: "germany" }, users: ["england", "france", "germany"],
+    history: [{ date: options.date || 1901, season: options.season || 0, nations, orders: {}, retreats: {} }]
+  });
+}
+
+module.exports = { createMapInfo, createGame };
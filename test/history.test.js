@@ -0,0 +1,70 @@
+/**
+ * Tests for {@link GameData#at}, the view of a game at an earlier entry in its history.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { phaseEnum, orderResultEnum, MoveOrder, SupportMoveOrder, RetreatOrder } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+/** Play Spring 1901, where PAR dislodges BUR, and its retreats, leaving the game in Fall 1901. */
+function playSpring() {
+  let game = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A BUR", "A MUN"] });
+  game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+  game.advance_phase();
+  game.state.retreats.GER = { BUR: new RetreatOrder("BUR", "RUH") };
+  game.advance_phase();
+  return game;
+}
+
+let provinces = (game, country) => game.state.nations[country].units.map(u => u.province).sort();
+
+test.describe("at", () => {
+  test("answers for the turn it was made at", () => {
+    let game = playSpring();
+    let view = game.at(0);
+    assert.strictEqual(view.history.length, 1);
+    assert.strictEqual(view.phase, phaseEnum["Order Writing"]);
+    assert.deepStrictEqual(provinces(view, "GER"), ["BUR", "MUN"]);
+    assert.strictEqual(view.get_unit_owner_id("BUR"), "GER");
+    assert.strictEqual(game.get_unit_owner_id("BUR"), "FRA");
+    assert.strictEqual(game.at(1).phase, phaseEnum["Retreating"]);
+  });
+
+  test("counts negative indices back from the current state", () => {
+    let game = playSpring();
+    assert.strictEqual(game.at(-1).state.date, game.state.date);
+    assert.strictEqual(game.at(-1).phase, game.phase);
+    assert.deepStrictEqual(game.at(-3).state, game.at(0).state);
+  });
+
+  test("rejects indices outside the history", () => {
+    let game = playSpring();
+    assert.throws(() => game.at(3), /No history entry at index 3/);
+    assert.throws(() => game.at(-4), /No history entry/);
+    assert.throws(() => game.at(0.5), /No history entry/);
+  });
+
+  test("adjudicating in a view leaves the game alone", () => {
+    let game = playSpring();
+    let before = JSON.stringify(game.history);
+    let view = game.at(0);
+    view.state.orders.FRA.MAR = new MoveOrder("MAR", "GAS");
+    view.adjudicate_movement();
+    assert.strictEqual(view.state.orders.FRA.PAR.result, orderResultEnum.fail);
+    view.advance_phase();
+    assert.strictEqual(view.history.length, 2);
+    assert.strictEqual(game.history.length, 3);
+    assert.strictEqual(JSON.stringify(game.history), before);
+  });
+
+  test("orders and owners set in a view leave the game alone", () => {
+    let game = playSpring();
+    let view = game.at(-1);
+    view.state.orders.GER = { MUN: new MoveOrder("MUN", "KIE") };
+    view.state.nations.GER.units.pop();
+    view.set_country_group_owner(["GER"], "france");
+    assert.strictEqual(game.state.orders.GER, undefined);
+    assert.strictEqual(game.state.nations.GER.units.length, 2);
+    assert.strictEqual(game.players.GER, "germany");
+  });
+});
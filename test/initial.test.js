@@ -0,0 +1,78 @@
+/**
+ * Tests for {@link create_initial_state}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { seasonEnum, unitTypeEnum, create_initial_state } = require("../utils.js");
+const { createMapInfo } = require("./fixtures/standard-map.js");
+
+/** The test map with the usual starting units: fleets in LON, EDI, BRE and KIE, armies elsewhere. */
+function startingMap() {
+  let mapInfo = createMapInfo();
+  let starts = { LON: 2, EDI: 2, LVP: 1, BRE: 2, PAR: 1, MAR: 1, KIE: 2, MUN: 1 };
+  for (let province of mapInfo.provinces) {
+    province.startUnit = starts[province.id] || 0;
+  }
+  return mapInfo;
+}
+
+let province = (mapInfo, id) => mapInfo.provinces.find(p => p.id == id);
+
+test.describe("create_initial_state", () => {
+  test("starts in Spring of the map's first year with no orders", () => {
+    let state = create_initial_state(startingMap(), 3);
+    assert.strictEqual(state.date, 1901);
+    assert.strictEqual(state.season, seasonEnum.Spring);
+    assert.deepStrictEqual(state.orders, {});
+    assert.deepStrictEqual(state.retreats, {});
+  });
+
+  test("gives each country its home supply centers and starting units", () => {
+    let state = create_initial_state(startingMap(), 3);
+    let eng = state.nations.ENG;
+    assert.deepStrictEqual([eng.id, eng.neutral, eng.supplyCenters], ["ENG", false, ["LON", "EDI", "LVP"]]);
+    assert.deepStrictEqual(eng.units.slice().sort((a, b) => a.province.localeCompare(b.province)), [
+      { province: "EDI", coast: "c", type: unitTypeEnum.Fleet },
+      { province: "LON", coast: "c", type: unitTypeEnum.Fleet },
+      { province: "LVP", coast: "", type: unitTypeEnum.Army }
+    ]);
+    assert.deepStrictEqual(state.nations.GER.units.map(u => u.province).sort(), ["KIE", "MUN"]);
+  });
+
+  test("doesn't share supply center lists with the map", () => {
+    let mapInfo = startingMap();
+    create_initial_state(mapInfo, 3).nations.FRA.supplyCenters.push("SPA");
+    assert.deepStrictEqual(mapInfo.countries[1].supplyCenters, ["BRE", "PAR", "MAR"]);
+  });
+
+  test("puts fleets in split-coast provinces on the coast marked to start on", () => {
+    let mapInfo = startingMap();
+    mapInfo.countries[1].supplyCenters.push("SPA");
+    province(mapInfo, "SPA").startUnit = 2;
+    province(mapInfo, "SPA").coasts[1].frigateStart = true;
+    let fleet = create_initial_state(mapInfo, 3).nations.FRA.units.find(u => u.province == "SPA");
+    assert.deepStrictEqual(fleet, { province: "SPA", coast: "sc", type: unitTypeEnum.Fleet });
+
+    province(mapInfo, "SPA").coasts[1].frigateStart = false;
+    assert.throws(() => create_initial_state(mapInfo, 3), /^Error: The fleet starting in SPA has no coast marked with frigateStart\.$/);
+  });
+
+  test("makes eliminated countries neutral", () => {
+    let mapInfo = startingMap();
+    mapInfo.playerConfigurations["2"] = { eliminate: ["GER"], combine: [], neutralEliminate: false };
+    let state = create_initial_state(mapInfo, 2);
+    assert.strictEqual(state.nations.GER.neutral, true);
+    assert.deepStrictEqual(state.nations.GER.units, []);
+    assert.deepStrictEqual(state.nations.GER.supplyCenters, ["KIE", "MUN"]);
+
+    mapInfo.playerConfigurations["2"].neutralEliminate = true;
+    assert.deepStrictEqual(create_initial_state(mapInfo, 2).nations.GER.units.map(u => u.province).sort(), ["KIE", "MUN"]);
+  });
+
+  test("rejects player counts and starting units the map doesn't allow", () => {
+    assert.throws(() => create_initial_state(startingMap(), 4), /^Error: The map can't be played by 4 players\.$/);
+    let mapInfo = startingMap();
+    province(mapInfo, "BEL").startUnit = 1;
+    assert.throws(() => create_initial_state(mapInfo, 3), /^Error: The unit starting in BEL isn't in any country's home supply centers\.$/);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for {@link Order#describe} and the sorting of valid orders by it.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, unitTypeEnum, CancelOrder, HoldOrder, MoveOrder, ConvoyOrder, SupportHoldOrder,
+  SupportMoveOrder, RetreatOrder, BuildOrder, DisbandOrder, PassOrder
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+test.describe("describe", () => {
+  test("names units, provinces and coasts", () => {
+    let game = createGame({ ENG: ["A LON", "F NTH"], FRA: ["A PAR", "A MAR", "F SPA/SC", "F MAO"] });
+    let cases = [
+      [new HoldOrder("PAR"), "Army in Paris holds"],
+      [new MoveOrder("PAR", "BUR"), "Army in Paris moves to Burgundy"],
+      [new MoveOrder("LON", "NWY", "", true), "Army in London moves to Norway via convoy"],
+      [new MoveOrder("MAO", "SPA", "nc"), "Fleet in Mid-Atlantic Ocean moves to Spain (North Coast)"],
+      [new MoveOrder("SPA", "MAR", "c"), "Fleet in Spain (South Coast) moves to Marseilles"],
+      [new ConvoyOrder("NTH", "LON", "NWY"), "Fleet in North Sea convoys Army London → Norway"],
+      [new SupportHoldOrder("MAR", "PAR"), "Army in Marseilles supports Army Paris"],
+      [new SupportMoveOrder("MAR", "BUR", "PAR"), "Army in Marseilles supports Army Paris → Burgundy"],
+      [new CancelOrder("PAR"), "Cancel orders for Paris"]
+    ];
+    for (let [order, text] of cases) {
+      assert.strictEqual(order.describe(game), text);
+    }
+  });
+
+  test("names adjustments", () => {
+    let game = createGame({ GER: ["A MUN"] }, { season: seasonEnum.Fall });
+    game.phase = phaseEnum["Creating/Disbanding"];
+    assert.strictEqual(new BuildOrder("GER", "KIE", unitTypeEnum.Fleet, "c").describe(game), "Build Fleet in Kiel");
+    assert.strictEqual(new BuildOrder("FRA", "SPA", unitTypeEnum.Fleet, "sc").describe(game), "Build Fleet in Spain (South Coast)");
+    assert.strictEqual(new DisbandOrder("GER", "MUN").describe(game), "Disband Army in Munich");
+    assert.strictEqual(new PassOrder("GER").describe(game), "Build nothing");
+  });
+
+  test("names the dislodged unit in retreats and disbands", () => {
+    let game = createGame({ ENG: ["F NTH", "F ENG"], GER: ["A BEL"] });
+    game.state.orders.ENG = { NTH: new MoveOrder("NTH", "BEL", "c"), ENG: new SupportMoveOrder("ENG", "BEL", "NTH") };
+    game.advance_phase();
+    assert.strictEqual(game.phase, phaseEnum["Retreating"]);
+    assert.strictEqual(new RetreatOrder("BEL", "HOL").describe(game), "Army in Belgium retreats to Holland");
+    assert.strictEqual(new DisbandOrder("GER", "BEL").describe(game), "Disband Army in Belgium");
+  });
+});
+
+test.describe("sort_orders", () => {
+  test("valid orders are labelled and sorted by their labels", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"] });
+    let orders = game.get_valid_orders(game.get_unit("PAR"));
+    assert.ok(orders.every(order => order.text == order.describe(game)));
+    assert.deepStrictEqual(orders.map(order => order.text), orders.map(order => order.text).sort());
+    assert.deepStrictEqual(orders.slice(0, 3).map(order => order.text), [
+      "Army in Paris holds", "Army in Paris moves to Brest", "Army in Paris moves to Burgundy"
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for {@link validate_map}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { validate_map } = require("../utils.js");
+const { createMapInfo } = require("./fixtures/standard-map.js");
+
+/** The test map, changed by `change`, and the problems found in it. */
+function problems(change) {
+  let mapInfo = createMapInfo();
+  change(mapInfo);
+  return validate_map(mapInfo);
+}
+
+let province = (mapInfo, id) => mapInfo.provinces.find(p => p.id == id);
+
+test.describe("validate_map", () => {
+  test("finds nothing wrong with the test map", () => {
+    assert.deepStrictEqual(validate_map(createMapInfo()), []);
+  });
+
+  test("finds repeated province and coast IDs", () => {
+    assert.deepStrictEqual(problems(m => m.provinces.push({ ...province(m, "PAR") })), ["Province ID PAR is used more than once."]);
+    assert.deepStrictEqual(problems(m => province(m, "SPA").coasts.push({ ...province(m, "SPA").coasts[0] })), ["Coast ID nc is used more than once in SPA."]);
+    assert.deepStrictEqual(problems(m => { province(m, "NTH").coasts = [{ id: "c", name: "Coast", x: 0, y: 0, frigateStart: false }]; }), ["Water province NTH has coasts."]);
+  });
+
+  test("finds routes to unknown provinces and coasts", () => {
+    assert.deepStrictEqual(problems(m => m.routes.push({ p0: "PAR", p1: "XYZ", c0: "", c1: "", water: false })), [
+      `Route ${createMapInfo().routes.length} (PAR - XYZ) leads to unknown province XYZ.`
+    ]);
+    assert.deepStrictEqual(problems(m => m.routes.push({ p0: "MAO", p1: "SPA", c0: "", c1: "ec", water: true })), [
+      `Route ${createMapInfo().routes.length} (MAO - SPA/ec) leads to unknown coast ec of SPA.`
+    ]);
+  });
+
+  test("finds water routes touching land and land routes touching water", () => {
+    let n = createMapInfo().routes.length;
+    assert.deepStrictEqual(problems(m => m.routes.push({ p0: "NTH", p1: "PAR", c0: "", c1: "", water: true })), [
+      `Route ${n} (NTH - PAR) is a water route but PAR is landlocked.`
+    ]);
+    assert.deepStrictEqual(problems(m => m.routes.push({ p0: "NTH", p1: "PIC", c0: "", c1: "", water: true })), [
+      `Route ${n} (NTH - PIC) is a water route but doesn't give a coast of PIC.`
+    ]);
+    assert.deepStrictEqual(problems(m => m.routes.push({ p0: "NTH", p1: "PIC", c0: "", c1: "", water: false })), [
+      `Route ${n} (NTH - PIC) is a land route but NTH is water.`
+    ]);
+    assert.deepStrictEqual(problems(m => m.routes.push({ p0: "BRE", p1: "PIC", c0: "c", c1: "c", water: false })), [
+      `Route ${n} (BRE/c - PIC/c) leads to a coast but isn't marked as a water route.`
+    ]);
+  });
+
+  test("finds provinces that can't be reached", () => {
+    let found = problems(m => m.provinces.push({ ...province(m, "PAR"), id: "ISL", name: "Island" }));
+    assert.deepStrictEqual(found, ["Province ISL can't be reached from NAO."]);
+  });
+
+  test("finds bad home supply centers", () => {
+    assert.deepStrictEqual(problems(m => m.countries[0].supplyCenters.push("XYZ")), ["Country ENG has unknown province XYZ as a supply center."]);
+    assert.deepStrictEqual(problems(m => m.countries[0].supplyCenters.push("YOR")), ["Country ENG has YOR as a supply center, but it isn't one."]);
+  });
+
+  test("finds player configurations naming unknown countries", () => {
+    let found = problems(m => { m.playerConfigurations["2"] = { eliminate: ["ITA"], combine: [["ENG", "RUS"]], neutralEliminate: false }; });
+    assert.deepStrictEqual(found, ["Player configuration 2 eliminates unknown country ITA.", "Player configuration 2 combines unknown country RUS."]);
+  });
+});
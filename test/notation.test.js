@@ -0,0 +1,120 @@
+/**
+ * Tests for {@link GameData#parse_order} and {@link GameData#format_order}, the standard order notation.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, unitTypeEnum, CancelOrder, HoldOrder, MoveOrder, ConvoyOrder, SupportHoldOrder,
+  SupportMoveOrder, RetreatOrder, BuildOrder, DisbandOrder, PassOrder
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+let game = () => createGame({ ENG: ["A LON", "F NTH", "A YOR"], FRA: ["A PAR", "A MAR", "F SPA/SC", "F MAO"], GER: ["A MUN", "F BOT"] });
+
+test.describe("parse_location", () => {
+  test("reads provinces and coasts by ID or name, in any case", () => {
+    let g = game();
+    assert.deepStrictEqual(g.parse_location("stp/sc"), { province: "STP", coast: "sc" });
+    assert.deepStrictEqual(g.parse_location("St Petersburg (North Coast)"), { province: "STP", coast: "nc" });
+    assert.deepStrictEqual(g.parse_location(" north sea "), { province: "NTH", coast: "" });
+  });
+
+  test("rejects unknown provinces and coasts", () => {
+    let g = game();
+    assert.throws(() => g.parse_location("XYZ"), /Unknown province "XYZ"/);
+    assert.throws(() => g.parse_location("SPA/EC"), /Spain has no coast "ec"/);
+  });
+});
+
+test.describe("parse_order", () => {
+  test("reads orders for units", () => {
+    let g = game();
+    assert.ok(g.parse_order("A PAR - BUR").equals(new MoveOrder("PAR", "BUR")));
+    assert.ok(g.parse_order("A PAR H").equals(new HoldOrder("PAR")));
+    assert.ok(g.parse_order("F NTH C A LON - NWY").equals(new ConvoyOrder("NTH", "LON", "NWY")));
+    assert.ok(g.parse_order("A MAR S A PAR").equals(new SupportHoldOrder("MAR", "PAR")));
+    assert.ok(g.parse_order("A MAR S A PAR - BUR").equals(new SupportMoveOrder("MAR", "BUR", "PAR")));
+    assert.ok(g.parse_order("F BOT - STP/SC").equals(new MoveOrder("BOT", "STP", "sc")));
+    assert.ok(g.parse_order("army paris -> burgundy").equals(new MoveOrder("PAR", "BUR")));
+  });
+
+  test("reads convoyed moves", () => {
+    let g = game();
+    assert.ok(g.parse_order("A LON - NWY").equals(new MoveOrder("LON", "NWY", "", true)));
+    assert.ok(g.parse_order("A YOR - LON VIA CONVOY").equals(new MoveOrder("YOR", "LON", "", true)));
+    assert.ok(g.parse_order("A YOR - LON").equals(new MoveOrder("YOR", "LON")));
+  });
+
+  test("infers the coast of a fleet when only one can be reached", () => {
+    let g = game();
+    assert.strictEqual(g.parse_order("F BOT - STP").coast, "sc");
+    assert.strictEqual(g.parse_order("F SPA/SC - MAR").coast, "c");
+    assert.throws(() => g.parse_order("F MAO - SPA"), /A coast of SPA must be specified \(nc, sc\)/);
+  });
+
+  test("reads retreats and disbands during the Retreating phase", () => {
+    let g = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A BUR"] });
+    g.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+    g.advance_phase();
+    assert.strictEqual(g.phase, phaseEnum["Retreating"]);
+    assert.ok(g.parse_order("A BUR - RUH").equals(new RetreatOrder("BUR", "RUH")));
+    assert.ok(g.parse_order("A BUR R RUH").equals(new RetreatOrder("BUR", "RUH")));
+    assert.ok(g.parse_order("A BUR D", "GER").equals(new DisbandOrder("GER", "BUR")));
+  });
+
+  test("reads builds, disbands and waives", () => {
+    let g = createGame({ GER: ["A MUN"] }, { season: seasonEnum.Fall });
+    g.phase = phaseEnum["Creating/Disbanding"];
+    assert.ok(g.parse_order("BUILD A KIE").equals(new BuildOrder("GER", "KIE", unitTypeEnum.Army)));
+    assert.ok(g.parse_order("F KIE B").equals(new BuildOrder("GER", "KIE", unitTypeEnum.Fleet, "c")));
+    assert.ok(g.parse_order("A MUN D").equals(new DisbandOrder("GER", "MUN")));
+    assert.ok(g.parse_order("WAIVE", "GER").equals(new PassOrder("GER")));
+  });
+
+  test("gives clear errors", () => {
+    let g = game();
+    assert.throws(() => g.parse_order("A XYZ - BUR"), /Unknown province "XYZ"/);
+    assert.throws(() => g.parse_order("A BUR - PAR"), /There is no unit in BUR/);
+    assert.throws(() => g.parse_order("F PAR - BUR"), /The unit in PAR is an army/);
+    assert.throws(() => g.parse_order("A PAR S"), /Can't understand order "A PAR S"/);
+    assert.throws(() => g.parse_order("WAIVE"), /A nation is required to waive a build/);
+    assert.throws(() => g.parse_order("BUILD BRE"), /A unit type is required to build in BRE/);
+  });
+});
+
+test.describe("format_order", () => {
+  test("writes every order type in standard notation", () => {
+    let g = game();
+    let cases = [
+      [new HoldOrder("PAR"), "A PAR H"],
+      [new MoveOrder("PAR", "BUR"), "A PAR - BUR"],
+      [new MoveOrder("LON", "NWY", "", true), "A LON - NWY VIA C"],
+      [new MoveOrder("SPA", "MAR", "c"), "F SPA/SC - MAR"],
+      [new MoveOrder("BOT", "STP", "sc"), "F BOT - STP/SC"],
+      [new SupportHoldOrder("MAR", "PAR"), "A MAR S A PAR"],
+      [new SupportMoveOrder("MAR", "BUR", "PAR"), "A MAR S A PAR - BUR"],
+      [new ConvoyOrder("NTH", "LON", "NWY"), "F NTH C A LON - NWY"],
+      [new BuildOrder("GER", "KIE", unitTypeEnum.Fleet, "c"), "BUILD F KIE"],
+      [new DisbandOrder("GER", "MUN"), "A MUN D"],
+      [new PassOrder("GER"), "WAIVE"],
+      [new CancelOrder("PAR"), "CANCEL PAR"]
+    ];
+    for (let [order, text] of cases) {
+      assert.strictEqual(g.format_order(order), text);
+    }
+  });
+
+  test("is read back as the same order", () => {
+    let g = game();
+    for (let unit of Object.values(g.state.nations).flatMap(n => n.units)) {
+      for (let order of g.get_valid_orders(unit)) {
+        let text = g.format_order(order);
+        assert.ok(g.parse_order(text).equals(order), `${text} is read back as ${g.parse_order(text).id}, not ${order.id}`);
+      }
+    }
+  });
+
+  test("rejects unknown order types", () => {
+    assert.throws(() => game().format_order({ type: 42 }), /42 is not a valid order type/);
+  });
+});
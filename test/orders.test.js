@@ -0,0 +1,27 @@
+/**
+ * Tests for exporting and importing orders.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { import_order, orderTypeEnum, orderResultEnum, DisbandOrder } = require("../utils.js");
+
+test.describe("import_order", () => {
+  test("disband orders survive an export round trip", () => {
+    let order = new DisbandOrder("FRA", "PIC");
+    order.result = orderResultEnum.success;
+    let imported = import_order(order.export());
+    assert.ok(imported instanceof DisbandOrder);
+    assert.ok(imported.equals(order));
+    assert.strictEqual(imported.result, orderResultEnum.success);
+  });
+
+  test("disband orders saved with a province key can still be imported", () => {
+    let imported = import_order({ type: orderTypeEnum.disband, country: "FRA", province: "PIC" });
+    assert.strictEqual(imported.province, "PIC");
+    assert.strictEqual(imported.country, "FRA");
+  });
+
+  test("disband orders without a unit are rejected", () => {
+    assert.throws(() => import_order({ type: orderTypeEnum.disband, country: "FRA" }), /must include property province/);
+  });
+});
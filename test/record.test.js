@@ -0,0 +1,140 @@
+/**
+ * Tests for {@link GameData#export_record} and {@link import_record}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, unitTypeEnum, orderResultEnum, import_record, MoveOrder, ConvoyOrder, SupportMoveOrder, RetreatOrder,
+  BuildOrder, PassOrder, DisbandOrder
+} = require("../utils.js");
+const { createGame, createMapInfo } = require("./fixtures/standard-map.js");
+
+/** Play a year with every kind of order, leaving the game in Spring 1902. */
+function playYear() {
+  let game = createGame({ FRA: ["A PAR", "A MAR", "F BRE"], GER: ["A BUR", "A MUN", "F KIE"], ENG: ["F LON", "F NTH", "A YOR"] });
+  game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+  game.state.orders.ENG = { YOR: new MoveOrder("YOR", "NWY", "", true), NTH: new ConvoyOrder("NTH", "YOR", "NWY") };
+  game.advance_phase();
+  game.state.retreats.GER = { BUR: new RetreatOrder("BUR", "BEL") };
+  game.advance_phase();
+  game.state.orders.FRA = { BUR: new MoveOrder("BUR", "MUN") };
+  game.state.orders.GER = { MUN: new MoveOrder("MUN", "RUH") };
+  game.advance_phase();
+  game.state.adjustments.FRA = [new BuildOrder("FRA", "PAR", unitTypeEnum.Army), new PassOrder("FRA")];
+  game.advance_phase();
+  return game;
+}
+
+/** The lines of the block headed `header` in `record`. */
+function block(record, header) {
+  let lines = record.split("\n");
+  let start = lines.indexOf(header);
+  let end = lines.indexOf("", start);
+  return lines.slice(start + 1, end == -1 ? undefined : end);
+}
+
+test.describe("export_record", () => {
+  test("writes the game's details", () => {
+    let record = playYear().export_record();
+    assert.deepStrictEqual(record.split("\n").slice(0, 11), [
+      "Game: 1", "Name: DATC", "Map: standard", "User: england", "User: france", "User: germany",
+      "Player ENG: england", "Player FRA: france", "Player GER: germany", "Phase: Order Writing", "Result: Playing"
+    ]);
+  });
+
+  test("writes each state with its units, orders and results", () => {
+    let record = playYear().export_record();
+    assert.deepStrictEqual(block(record, "[Spring 1901]"), [
+      "ENG: 3 SC (EDI, LON, LVP); units F LON, F NTH, A YOR",
+      "ENG order: F LON H; success; default",
+      "ENG order: F NTH C A YOR - NWY; success",
+      "ENG order: A YOR - NWY VIA C; success",
+      "FRA: 3 SC (BRE, MAR, PAR); units F BRE, A MAR, A PAR",
+      "FRA order: F BRE H; success; default",
+      "FRA order: A MAR S A PAR - BUR; success",
+      "FRA order: A PAR - BUR; success",
+      "GER: 2 SC (KIE, MUN); units A BUR, F KIE, A MUN",
+      "GER order: A BUR H; dislodged; default",
+      "GER order: F KIE H; success; default",
+      "GER order: A MUN H; success; default",
+      "Contested:",
+      "Dislodged: GER A BUR by PAR"
+    ]);
+    assert.deepStrictEqual(block(record, "[Spring 1901 retreats]").filter(line => line.startsWith("GER")), [
+      "GER: 2 SC (KIE, MUN); units F KIE, A MUN",
+      "GER retreat: A BUR R BEL; success"
+    ]);
+  });
+
+  test("writes adjustments beside the units they were given for", () => {
+    let record = playYear().export_record();
+    assert.deepStrictEqual(block(record, "[Fall 1901 adjustments]").filter(line => !line.startsWith("ENG")), [
+      "FRA: 4 SC (BRE, MAR, MUN, PAR); units F BRE, A MAR, A MUN",
+      "FRA to build: 1",
+      "FRA adjustment: BUILD A PAR; success",
+      "FRA adjustment: WAIVE; fail",
+      "GER: 2 SC (BEL, KIE); units A BEL, F KIE, A RUH",
+      "GER to build: -1",
+      "GER adjustment: A BEL D; success; default"
+    ]);
+    assert.deepStrictEqual(block(record, "[Spring 1902]"), [
+      "ENG: 4 SC (EDI, LON, LVP, NWY); units F LON, F NTH, A NWY",
+      "FRA: 4 SC (BRE, MAR, MUN, PAR); units F BRE, A MAR, A MUN, A PAR",
+      "GER: 2 SC (BEL, KIE); units F KIE, A RUH",
+      "Eliminated:"
+    ]);
+  });
+});
+
+test.describe("import_record", () => {
+  test("reads back the record it was written from", () => {
+    let record = playYear().export_record();
+    let game = import_record(record, createMapInfo());
+    assert.strictEqual(game.export_record(), record);
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+    assert.strictEqual(game.history.length, 5);
+  });
+
+  test("restores orders, results and dislodgements", () => {
+    let game = import_record(playYear().export_record(), createMapInfo());
+    let [spring, retreats, , adjustments] = game.history;
+    assert.ok(spring.orders.ENG.YOR.equals(new MoveOrder("YOR", "NWY", "", true)));
+    assert.strictEqual(spring.orders.GER.BUR.result, orderResultEnum.dislodged);
+    assert.ok(spring.orders.GER.BUR.isDefault);
+    assert.deepStrictEqual(spring.dislodgements.BUR, { unit: { province: "BUR", coast: "", type: unitTypeEnum.Army }, from: "PAR", country: "GER" });
+    assert.ok(retreats.retreats.GER.BUR.equals(new RetreatOrder("BUR", "BEL")));
+    assert.ok(adjustments.adjustments.GER[0].equals(new DisbandOrder("GER", "BEL")));
+    assert.strictEqual(adjustments.nations.GER.toBuild, -1);
+    assert.deepStrictEqual(game.history[4].eliminated, []);
+  });
+
+  test("the game can be played on", () => {
+    let game = import_record(playYear().export_record(), createMapInfo());
+    game.state.orders.FRA = { MUN: new MoveOrder("MUN", "KIE") };
+    game.advance_phase();
+    assert.strictEqual(game.history[4].orders.FRA.MUN.result, orderResultEnum.fail);
+    assert.strictEqual(game.state.season, seasonEnum.Fall);
+    assert.strictEqual(game.state.date, 1902);
+  });
+
+  test("reports the line of each mistake", () => {
+    let record = playYear().export_record();
+    let lines = record.split("\n");
+    let change = (from, to) => import_record(lines.map(line => line == from ? to : line).join("\n"), createMapInfo());
+    let line = text => lines.indexOf(text) + 1;
+    assert.throws(() => change("Result: Playing", "Result: Lost"), new RegExp(`^Error: Line ${line("Result: Playing")}: Unknown value "Lost"\\.$`));
+    assert.throws(() => change("Name: DATC", "Title: DATC"), /Line 2: Unknown field "Title"/);
+    assert.throws(() => change("ENG order: F LON H; success; default", "ENG order: F LON - XYZ; success"),
+      new RegExp(`Line ${line("ENG order: F LON H; success; default")}: Unknown province "XYZ"`));
+    assert.throws(() => change("GER retreat: A BUR R BEL; success", "GER retreat: A BUR H; success"), /is not a retreat/);
+    assert.throws(() => change("GER: 2 SC (KIE, MUN); units F KIE, A MUN", "GER: 2 SC (KIE, MUN); units A NTH, A MUN"), /An army can't be in NTH/);
+    assert.throws(() => change("GER: 2 SC (KIE, MUN); units F KIE, A MUN", "ITA: 2 SC (KIE, MUN); units F KIE, A MUN"), /ITA is not a country on this map/);
+    assert.throws(() => change("[Fall 1901]", "[Fall 1901 retreats]"), /Entry 3 of the history doesn't follow the entry before it/);
+  });
+
+  test("rejects invalid maps", () => {
+    let mapInfo = createMapInfo();
+    mapInfo.countries[0].supplyCenters.push("YOR");
+    assert.throws(() => import_record(playYear().export_record(), mapInfo), /^Error: Invalid map: Country ENG has YOR as a supply center/);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for {@link GameData#render_svg}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, unitTypeEnum, MoveOrder, ConvoyOrder, SupportMoveOrder, BuildOrder, DisbandOrder
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+const success = "#2ca02c";
+const fail = "#d62728";
+
+/** The position of `province` in a 1000 by 1000 image, as written in the SVG. */
+function at(game, province, coast = "") {
+  let coords = game.get_coords(province, coast);
+  return `${+(coords.x * 1000).toFixed(1)},${+((1 - coords.y) * 1000).toFixed(1)}`;
+}
+
+/** The elements of `svg` with class `name`. */
+let elements = (svg, name) => svg.split("\n").filter(line => line.includes(`class="${name}"`));
+
+/** The points of a line or polyline, leaving out the last one, which is shortened to make room for the arrow head. */
+function stops(element) {
+  let polyline = element.match(/points="([^"]*)"/);
+  let points = polyline ? polyline[1].split(" ") : [element.match(/x1="([^"]*)" y1="([^"]*)"/).slice(1).join(","), ""];
+  return points.slice(0, -1);
+}
+
+test.describe("render_svg", () => {
+  test("draws units and supply centers in their owner's color", () => {
+    let game = createGame({ ENG: ["F NTH", "A LON"], FRA: ["A PAR"] });
+    let svg = game.render_svg();
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.match(svg, /<\/svg>$/);
+    assert.strictEqual(elements(svg, "unit").length, 3);
+    assert.strictEqual(elements(svg, "unit").filter(e => e.startsWith("<rect")).length, 1);
+    assert.strictEqual(elements(svg, "supply-center").length, game.get_supply_centers().length);
+    assert.strictEqual(elements(svg, "supply-center").filter(e => e.includes('fill="#ff0000"')).length, 3);
+  });
+
+  test("colors move arrows by their result", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"] });
+    game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new MoveOrder("MAR", "BUR") };
+    game.adjudicate_movement();
+    let arrows = elements(game.render_svg(), "order");
+    assert.strictEqual(arrows.length, 2);
+    assert.ok(arrows.every(a => a.includes(`stroke="${fail}"`) && a.includes(`marker-end="url(#arrow-1)"`)));
+  });
+
+  test("draws convoys along the convoying fleets", () => {
+    let game = createGame({ ENG: ["A YOR", "F NTH"] });
+    game.state.orders.ENG = { YOR: new MoveOrder("YOR", "NWY", "", true), NTH: new ConvoyOrder("NTH", "YOR", "NWY") };
+    game.adjudicate_movement();
+    let [move, convoy] = elements(game.render_svg(), "order");
+    assert.deepStrictEqual(stops(move), [at(game, "YOR", "c"), at(game, "NTH")]);
+    assert.deepStrictEqual(stops(convoy), [at(game, "YOR", "c"), at(game, "NTH")]);
+    assert.ok(move.includes(`stroke="${success}"`) && move.includes('stroke-dasharray="2,4"'));
+  });
+
+  test("draws convoys through every fleet of a chain in order", () => {
+    let game = createGame({ ENG: ["A LON", "F ENG", "F MAO"] });
+    game.state.orders.ENG = {
+      LON: new MoveOrder("LON", "POR", "", true), ENG: new ConvoyOrder("ENG", "LON", "POR"), MAO: new ConvoyOrder("MAO", "LON", "POR")
+    };
+    let [move] = elements(game.render_svg(), "order");
+    assert.deepStrictEqual(stops(move), [at(game, "LON", "c"), at(game, "ENG"), at(game, "MAO")]);
+  });
+
+  test("draws move supports through the supported unit", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"] });
+    game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+    let support = elements(game.render_svg(), "order")[1];
+    assert.deepStrictEqual(stops(support), [at(game, "MAR", "c"), at(game, "PAR")]);
+    assert.ok(support.includes('stroke-dasharray="6,4"'));
+  });
+
+  test("draws builds and disbands", () => {
+    let game = createGame({ FRA: ["A MAR"], GER: ["A MUN", "A RUH", "A BEL"] }, { season: seasonEnum.Fall });
+    game.phase = phaseEnum["Creating/Disbanding"];
+    game.state.nations.FRA.toBuild = 1;
+    game.state.nations.GER.toBuild = -1;
+    game.state.adjustments = { FRA: [new BuildOrder("FRA", "BRE", unitTypeEnum.Fleet, "c")], GER: [new DisbandOrder("GER", "BEL")] };
+    let index = game.history.length - 1;
+    game.advance_phase();
+
+    let svg = game.render_svg(index);
+    let [build] = elements(svg, "build");
+    assert.ok(build.startsWith("<rect") && build.includes(`stroke="${success}"`) && build.includes('fill="#0000ff"'));
+    let [cross] = elements(svg, "disband");
+    let [x, y] = at(game, "BEL", "c").split(",").map(Number);
+    assert.ok(cross.includes(`d="M${x - 12},${y - 12} `) && cross.includes(`stroke="${success}"`));
+  });
+
+  test("draws disbands of dislodged units", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A BUR"] });
+    game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+    game.advance_phase();
+    game.state.retreats.GER = { BUR: new DisbandOrder("GER", "BUR") };
+    game.advance_phase();
+    let svg = game.render_svg(1);
+    assert.strictEqual(elements(svg, "disband").length, 1);
+    assert.strictEqual(elements(svg, "unit").filter(e => e.includes('opacity="0.5"')).length, 1);
+  });
+});
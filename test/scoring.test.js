@@ -0,0 +1,107 @@
+/**
+ * Tests for {@link score_game} and the {@link scoringSystems}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { winStateEnum, scoringSystems, score_game, import_state, export_state } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+/**
+ * A finished game in which each country owns the supply centers given in `centers`.
+ * Countries left out own none, and are eliminated unless they have a unit in `units`.
+ */
+function finished(centers, { won = winStateEnum.Draw, winner = "", units = {} } = {}) {
+  let game = createGame(units);
+  for (let [country, nation] of Object.entries(game.state.nations)) {
+    nation.supplyCenters = centers[country] || [];
+  }
+  game.won = won;
+  game.winner = winner;
+  return game;
+}
+
+/** Add a copy of the current state to `game`'s history, with `country` eliminated from it. */
+function eliminate(game, country) {
+  let state = import_state(export_state(game.state));
+  state.nations[country].supplyCenters = [];
+  state.nations[country].units = [];
+  game.history.push(state);
+}
+
+test.describe("score_game", () => {
+  test("uses draw size scoring by default", () => {
+    let game = finished({ ENG: ["LON", "EDI"], FRA: ["PAR", "BRE", "MAR", "SPA"] });
+    assert.deepStrictEqual(score_game(game), { england: 50, france: 50, germany: 0 });
+    assert.deepStrictEqual(score_game(game, "draw size"), score_game(game));
+  });
+
+  test("gives a solo winner everything in every system", () => {
+    let game = finished({ ENG: ["LON"], FRA: ["PAR", "BRE", "MAR", "SPA", "POR", "BEL", "HOL", "MUN"] }, { won: winStateEnum.Won, winner: "france" });
+    for (let system of ["draw size", "sum of squares", "supply centers"]) {
+      assert.deepStrictEqual(score_game(game, system), { england: 0, france: 100, germany: 0 }, system);
+    }
+    assert.deepStrictEqual(score_game(game, "carnage"), { england: 0, france: 6000 + 16, germany: 0 });
+  });
+
+  test("a win without a known winner goes to the largest group", () => {
+    let game = finished({ ENG: ["LON"], GER: ["KIE", "MUN", "BEL"] }, { won: winStateEnum.Won });
+    assert.deepStrictEqual(score_game(game), { england: 0, france: 0, germany: 100 });
+  });
+
+  test("scores combined groups together under their player", () => {
+    let game = finished({ ENG: ["LON"], GER: ["KIE", "MUN"], FRA: ["PAR"] });
+    game.mapInfo.playerConfigurations["2"] = { eliminate: [], combine: [["ENG", "GER"]], neutralEliminate: false };
+    game.users = ["england", "france"];
+    game.players = { ENG: "england", GER: "england", FRA: "france" };
+    assert.deepStrictEqual(score_game(game, "supply centers"), { england: 75, france: 25 });
+  });
+
+  test("leaves out groups nobody plays", () => {
+    let game = finished({ ENG: ["LON"], FRA: ["PAR"], GER: ["KIE"] });
+    delete game.players.GER;
+    assert.deepStrictEqual(Object.keys(score_game(game)).sort(), ["england", "france"]);
+  });
+
+  test("rejects unknown systems and unfinished games", () => {
+    let game = finished({ ENG: ["LON"] });
+    assert.throws(() => score_game(game, "points"), /^Error: Unknown scoring system "points"\.$/);
+    game.won = winStateEnum.Playing;
+    assert.throws(() => score_game(game), /^Error: Only finished games can be scored\.$/);
+  });
+});
+
+test.describe("scoringSystems", () => {
+  test("sum of squares shares by the square of each group's supply centers", () => {
+    let game = finished({ ENG: ["LON"], FRA: ["PAR", "BRE", "MAR"] }, { units: { GER: ["A RUH"] } });
+    assert.deepStrictEqual(score_game(game, "sum of squares"), { england: 10, france: 90, germany: 0 });
+  });
+
+  test("supply centers shares by each group's supply centers", () => {
+    let game = finished({ ENG: ["LON"], FRA: ["PAR", "BRE", "MAR"] }, { units: { GER: ["A RUH"] } });
+    assert.deepStrictEqual(score_game(game, "supply centers"), { england: 25, france: 75, germany: 0 });
+  });
+
+  test("draw size counts survivors without supply centers", () => {
+    let game = finished({ ENG: ["LON"], FRA: ["PAR", "BRE", "MAR"] }, { units: { GER: ["A RUH"] } });
+    assert.deepStrictEqual(score_game(game, "draw size"), { england: 100 / 3, france: 100 / 3, germany: 100 / 3 });
+  });
+
+  test("carnage splits tied places and adds a point per supply center", () => {
+    let game = finished({ ENG: ["LON", "EDI", "LVP"], FRA: ["PAR", "BRE", "MAR"] });
+    assert.deepStrictEqual(score_game(game, "carnage"), { england: 2503, france: 2503, germany: 1000 });
+  });
+
+  test("carnage ranks eliminated groups by how long they lasted", () => {
+    let game = finished({ FRA: ["PAR", "BRE", "MAR", "SPA", "POR"] }, { units: { ENG: ["F LON"], GER: ["A RUH"] } });
+    eliminate(game, "ENG");
+    eliminate(game, "GER");
+    assert.deepStrictEqual(score_game(game, "carnage"), { england: 1000, france: 3005, germany: 2000 });
+  });
+
+  test("every system gives one score per entry", () => {
+    let entries = ["ENG", "FRA", "GER"].map((country, i) => ({ player: country, countries: [country], supplyCenters: i, eliminated: -1 }));
+    for (let [name, system] of Object.entries(scoringSystems)) {
+      assert.strictEqual(system(entries, null, finished({})).length, entries.length, name);
+    }
+  });
+});
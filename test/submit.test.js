@@ -0,0 +1,142 @@
+/**
+ * Tests for {@link GameData#submit_order}.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  phaseEnum, seasonEnum, unitTypeEnum, orderValidationEnum, MoveOrder, HoldOrder, SupportMoveOrder, RetreatOrder,
+  BuildOrder, DisbandOrder, PassOrder, CancelOrder
+} = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+test.describe("submit_order during movement", () => {
+  test("stores the order under the nation of the unit", () => {
+    let game = createGame({ FRA: ["A PAR"] });
+    let order = new MoveOrder("PAR", "BUR");
+    assert.deepStrictEqual(game.submit_order("france", order), { valid: true, code: orderValidationEnum.valid, message: "", nation: "FRA", replaced: null });
+    assert.strictEqual(game.state.orders.FRA.PAR, order);
+  });
+
+  test("replaces the order already given to the unit", () => {
+    let game = createGame({ FRA: ["A PAR"] });
+    let move = new MoveOrder("PAR", "BUR");
+    game.submit_order("france", move);
+    let result = game.submit_order("france", new HoldOrder("PAR"));
+    assert.strictEqual(result.replaced, move);
+    assert.ok(game.state.orders.FRA.PAR.equals(new HoldOrder("PAR")));
+  });
+
+  test("refuses units of other players", () => {
+    let game = createGame({ FRA: ["A PAR"] });
+    let result = game.submit_order("england", new MoveOrder("PAR", "BUR"));
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.code, orderValidationEnum["not owned"]);
+    assert.strictEqual(result.message, "england doesn't control FRA.");
+    assert.strictEqual(game.submit_order("england", new HoldOrder("BRE")).message, "england doesn't control a unit at BRE.");
+    assert.deepStrictEqual(game.state.orders, {});
+  });
+
+  test("doesn't store invalid orders", () => {
+    let game = createGame({ FRA: ["A PAR", "A MAR"] });
+    let result = game.submit_order("france", new SupportMoveOrder("MAR", "PIC", "PAR"));
+    assert.strictEqual(result.code, orderValidationEnum["not adjacent"]);
+    assert.strictEqual(result.nation, "FRA");
+    assert.deepStrictEqual(game.state.orders, {});
+  });
+
+  test("cancelling removes the stored order", () => {
+    let game = createGame({ FRA: ["A PAR"] });
+    let move = new MoveOrder("PAR", "BUR");
+    game.submit_order("france", move);
+    assert.strictEqual(game.submit_order("england", new CancelOrder("PAR")).message, "england has no order at PAR to cancel.");
+    let result = game.submit_order("france", new CancelOrder("PAR"));
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.replaced, move);
+    assert.deepStrictEqual(game.state.orders.FRA, {});
+    assert.strictEqual(game.submit_order("france", new CancelOrder("PAR")).code, orderValidationEnum["not owned"]);
+  });
+
+  test("a fleet moving to a coast it can't tell apart needs one (DATC 6.B.1)", () => {
+    let game = createGame({ FRA: ["F POR"] });
+    let result = game.submit_order("france", new MoveOrder("POR", "SPA"));
+    assert.strictEqual(result.code, orderValidationEnum["coast required"]);
+    assert.deepStrictEqual(game.state.orders, {});
+    assert.strictEqual(game.submit_order("france", new MoveOrder("POR", "SPA", "sc")).valid, true);
+    assert.strictEqual(game.state.orders.FRA.POR.coast, "sc");
+  });
+
+  test("the only coast a fleet can reach is filled in (DATC 6.B.2)", () => {
+    let game = createGame({ FRA: ["F GAS"] });
+    assert.strictEqual(game.submit_order("france", new MoveOrder("GAS", "SPA")).valid, true);
+    assert.ok(game.state.orders.FRA.GAS.equals(new MoveOrder("GAS", "SPA", "nc")));
+  });
+});
+
+test.describe("submit_order during retreats", () => {
+  /** A game in which France has dislodged the German army in Burgundy. */
+  function dislodged() {
+    let game = createGame({ FRA: ["A PAR", "A MAR"], GER: ["A BUR"] });
+    game.state.orders.FRA = { PAR: new MoveOrder("PAR", "BUR"), MAR: new SupportMoveOrder("MAR", "BUR", "PAR") };
+    game.advance_phase();
+    return game;
+  }
+
+  test("stores retreats under the nation of the dislodged unit", () => {
+    let game = dislodged();
+    assert.strictEqual(game.phase, phaseEnum["Retreating"]);
+    let retreat = new RetreatOrder("BUR", "BEL");
+    assert.strictEqual(game.submit_order("germany", retreat).nation, "GER");
+    assert.strictEqual(game.state.retreats.GER.BUR, retreat);
+    let disband = new DisbandOrder("GER", "BUR");
+    assert.strictEqual(game.submit_order("germany", disband).replaced, retreat);
+    assert.strictEqual(game.state.retreats.GER.BUR, disband);
+    assert.deepStrictEqual(game.state.orders, {});
+  });
+
+  test("refuses other players and orders for another phase", () => {
+    let game = dislodged();
+    assert.strictEqual(game.submit_order("france", new RetreatOrder("BUR", "BEL")).code, orderValidationEnum["not owned"]);
+    assert.strictEqual(game.submit_order("france", new MoveOrder("BUR", "MUN")).code, orderValidationEnum["wrong phase"]);
+    assert.deepStrictEqual(game.state.retreats, {});
+  });
+});
+
+test.describe("submit_order during adjustments", () => {
+  /** A game in which France has one build and Germany one disband. */
+  function adjusting() {
+    let game = createGame({ FRA: ["A PAR", "A MAR", "A BUR"], GER: ["A MUN", "F KIE"] }, { season: seasonEnum.Fall });
+    game.state.orders.FRA = { BUR: new MoveOrder("BUR", "MUN") };
+    game.state.orders.GER = { MUN: new MoveOrder("MUN", "RUH") };
+    game.advance_phase();
+    return game;
+  }
+
+  test("stores builds and disbands in the nation's list", () => {
+    let game = adjusting();
+    assert.strictEqual(game.phase, phaseEnum["Creating/Disbanding"]);
+    assert.strictEqual(game.submit_order("france", new BuildOrder("FRA", "BRE", unitTypeEnum.Fleet)).valid, true);
+    assert.strictEqual(game.submit_order("germany", new DisbandOrder("GER", "KIE")).valid, true);
+    assert.ok(game.state.adjustments.FRA[0].equals(new BuildOrder("FRA", "BRE", unitTypeEnum.Fleet, "c")));
+    assert.ok(game.state.adjustments.GER[0].equals(new DisbandOrder("GER", "KIE")));
+  });
+
+  test("replaces the order for the same province, then the oldest once the nation has given enough", () => {
+    let game = adjusting();
+    let fleet = new BuildOrder("FRA", "BRE", unitTypeEnum.Fleet);
+    game.submit_order("france", fleet);
+    let army = new BuildOrder("FRA", "BRE", unitTypeEnum.Army);
+    assert.ok(game.submit_order("france", army).replaced.equals(new BuildOrder("FRA", "BRE", unitTypeEnum.Fleet, "c")));
+    let pass = new PassOrder("FRA");
+    assert.strictEqual(game.submit_order("france", pass).replaced, army);
+    assert.deepStrictEqual(game.state.adjustments.FRA, [pass]);
+  });
+
+  test("refuses other players' nations and cancels stored orders", () => {
+    let game = adjusting();
+    assert.strictEqual(game.submit_order("england", new BuildOrder("FRA", "BRE", unitTypeEnum.Army)).code, orderValidationEnum["not owned"]);
+    let disband = new DisbandOrder("GER", "KIE");
+    game.submit_order("germany", disband);
+    assert.strictEqual(game.submit_order("germany", new CancelOrder("KIE")).replaced, disband);
+    assert.deepStrictEqual(game.state.adjustments, { GER: [] });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for elimination and victory detection at the end of each year.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { phaseEnum, seasonEnum, winStateEnum, import_state, export_state } = require("../utils.js");
+const { createGame } = require("./fixtures/standard-map.js");
+
+/** Create a game in Fall 1901 with `units`, and advance past its (unordered) movement phase. */
+function endFall(units) {
+  let game = createGame(units, { season: seasonEnum.Fall });
+  game.advance_phase();
+  return game;
+}
+
+test.describe("update_win_state", () => {
+  test("countries are eliminated once their last unit is disbanded in the adjustments", () => {
+    let game = endFall({ FRA: ["A KIE", "A MUN"], GER: ["A RUH"], ENG: ["F LON"] });
+    assert.strictEqual(game.phase, phaseEnum["Creating/Disbanding"]);
+    assert.strictEqual(game.state.nations.GER.toBuild, -1);
+    assert.strictEqual(game.state.eliminated, undefined);
+
+    game.advance_phase();
+    assert.strictEqual(game.state.date, 1902);
+    assert.deepStrictEqual(game.state.eliminated, ["GER"]);
+    assert.strictEqual(game.won, winStateEnum.Playing);
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+  });
+
+  test("countries are eliminated when no adjustments are needed", () => {
+    let game = endFall({ FRA: ["A KIE", "A MUN", "F BRE", "A PAR", "A MAR"], ENG: ["F LON", "A EDI", "A LVP"] });
+    assert.strictEqual(game.phase, phaseEnum["Order Writing"]);
+    assert.strictEqual(game.state.date, 1902);
+    assert.deepStrictEqual(game.state.eliminated, ["GER"]);
+  });
+
+  test("the last group left wins", () => {
+    let game = endFall({ FRA: ["A KIE", "A MUN", "F LON", "A EDI", "A LVP"], GER: ["A RUH"] });
+    game.mapInfo.info.toWin = 12;
+    game.advance_phase();
+    assert.deepStrictEqual(game.state.eliminated.sort(), ["ENG", "GER"]);
+    assert.strictEqual(game.won, winStateEnum.Won);
+    assert.strictEqual(game.winner, "france");
+    assert.strictEqual(game.phase, phaseEnum["Finished"]);
+  });
+
+  test("a group that reaches toWin supply centers wins", () => {
+    let game = endFall({ FRA: ["A KIE", "A MUN", "A BEL", "A HOL", "F SPA/NC"], GER: ["A RUH"], ENG: ["F LON"] });
+    assert.strictEqual(game.state.nations.FRA.supplyCenters.length, 8);
+    assert.strictEqual(game.won, winStateEnum.Playing);
+    game.advance_phase();
+    assert.strictEqual(game.won, winStateEnum.Won);
+    assert.strictEqual(game.winner, "france");
+    assert.strictEqual(game.phase, phaseEnum["Finished"]);
+  });
+
+  test("eliminations are kept when a state is exported", () => {
+    let game = endFall({ FRA: ["A KIE", "A MUN"], GER: ["A RUH"], ENG: ["F LON"] });
+    game.advance_phase();
+    assert.deepStrictEqual(import_state(export_state(game.state)).eliminated, ["GER"]);
+    assert.match(game.export_record(), /^Eliminated: GER$/m);
+  });
+});
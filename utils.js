@@ -86,6 +86,83 @@ const orderResultEnum = {
   dislodged: 3,
 }
 
+/**
+ * Enum for storing the reason an order was rejected by {@link GameData#validate_order}
+ * @readonly
+ * @enum {number}
+ */
+const orderValidationEnum = {
+  /** The order is valid */
+  valid: 0,
+
+  /** This type of order can't be given during the current phase */
+  "wrong phase": 1,
+
+  /** The ordered unit doesn't exist or doesn't belong to the nation giving the order */
+  "not owned": 2,
+
+  /** The destination (or supported province) can't be reached from the unit's province */
+  "not adjacent": 3,
+
+  /** A coast is required but missing, or the given coast can't be reached */
+  "invalid coast": 4,
+
+  /** No chain of fleets can convoy the army to its destination */
+  "no convoy path": 5,
+
+  /** Builds must be in an unoccupied home supply center owned by the building nation */
+  "invalid build": 6,
+
+  /** The order is invalid for some other reason */
+  invalid: 7,
+
+  /** No coast was given and more than one coast of the destination is possible */
+  "coast required": 8
+}
+
+/**
+ * Enum for storing the kind of change found by {@link GameData#diff_states}
+ * @readonly
+ * @enum {number}
+ */
+const changeTypeEnum = {
+  /** A unit moved during the Order Writing phase */
+  move: 0,
+
+  /** A unit was dislodged during the Order Writing phase */
+  dislodge: 1,
+
+  /** A dislodged unit retreated */
+  retreat: 2,
+
+  /** A unit was built */
+  build: 3,
+
+  /** A unit was disbanded, by order, by civil disorder or because it couldn't retreat */
+  disband: 4,
+
+  /** A supply center changed owner */
+  capture: 5
+}
+
+/**
+ * A country group's standing at the end of a game, as passed to a {@link ScoringSystem}
+ * @typedef {Object} ScoringEntry
+ * @property {string} player The username of the player controlling the group
+ * @property {string[]} countries
+ * @property {number} supplyCenters The number of supply centers the group owns at the end of the game
+ * @property {number} eliminated Index into `history` of the state in which the group was eliminated, or -1 if it survived
+ */
+
+/**
+ * A way of scoring a finished game. Add one to {@link scoringSystems} to make it available to {@link score_game}.
+ * @callback ScoringSystem
+ * @param {Array.<ScoringEntry>} entries Every country group in the game
+ * @param {ScoringEntry} winner The group that won alone, or null if the game was drawn
+ * @param {GameData} game
+ * @returns {number[]} The score of each entry, in the same order
+ */
+
 /**
  * Information about a map alone
  * @typedef {Object} MapInfo
@@ -158,6 +235,8 @@ const orderResultEnum = {
  * @property {Array<string>} [contested] List of provinces (as ID's) that were left empty by units bouncing while adjudicating this turn's order. Not present if adjudication has not occurred yet
  * @property {Object.<string, Dislodgement>} [dislodgements] Dislodgements caused by adjudicating this turn's orders. Not present if orders have not been adjudicated. Maps province id's to dislodgements
  * @property {Object.<string, Array<AdjustOrder>>} [adjustments] Building/disbanding orders for the end of this turn. Not present if this isn't a Fall turn.
+ * @property {Array<string>} [eliminated] Countries with neither supply centers nor units once the previous year's adjustments were resolved.
+ * Set by {@link GameData#update_win_state}. Not present on states that don't start a year.
  */
 
 /**
@@ -173,6 +252,18 @@ const orderResultEnum = {
  * @property {string} country The country that owns the retreating unit
  */
 
+/**
+ * A single change between two states, as found by {@link GameData#diff_states}
+ * @typedef {Object} StateChange
+ * @property {changeTypeEnum} type
+ * @property {string} country The country that owns the unit, or that gained the supply center
+ * @property {Unit} [unit] The unit as it was before the change. Not present for captures
+ * @property {PlaceIdentifier} [to] Where the unit ended up. Only present for moves, retreats and builds
+ * @property {string} [by] The province from which the dislodging move originated. Only present for dislodgements
+ * @property {string} [province] The supply center that changed owner. Only present for captures
+ * @property {string} [from] The country that owned the supply center, or "" if it had no owner. Only present for captures
+ */
+
 /**
  * A single country with state information
  * @typedef {Object} Country
@@ -191,6 +282,15 @@ const orderResultEnum = {
  * @property {unitTypeEnum} type
  */
 
+/**
+ * Lookup tables for a map, built when a {@link GameData} is created
+ * @typedef {Object} MapIndex
+ * @property {Object.<string, Province>} provinces Maps province ID's to provinces
+ * @property {Object.<string, Object.<string, Coast>>} coasts Maps province ID's to objects mapping coast ID's to coasts
+ * @property {Object.<string, Object.<string, {land: Array.<PlaceIdentifier>, water: Array.<PlaceIdentifier>}>>} adjacencies Maps province ID's and then coast ID's ("" for none) to the other ends of land and water routes
+ * @property {Object.<string, {all: string[], land: string[], water: string[]}>} neighbours Maps province ID's to adjacent provinces, ignoring coasts
+ */
+
 /**
  * A class representing an order for a single unit.
  * This is an abstract class, use {@link HoldOrder}, {@link MoveOrder}, {@link ConvoyOrder}, {@link SupportHoldOrder}, or {@link SupportMoveOrder} for specific orders.
@@ -226,6 +326,27 @@ class Order {
      * @type {orderResultEnum}
      */
     this.result = result ? result : orderResultEnum.unprocessed;
+
+    /**
+     * A human-readable description of this order, set by {@link GameData#sort_orders}.
+     * @type {string}
+     */
+    this.text = "";
+
+    /**
+     * Whether this order was filled in by {@link GameData#fill_default_orders} because none was given.
+     * @type {boolean}
+     */
+    this.isDefault = false;
+  }
+
+  /**
+   * Get a human-readable description of this order, such as "Army in Paris moves to Burgundy".
+   * @param {GameData} game The game this order is given in
+   * @returns {string}
+   */
+  describe(game) {
+    return this.id;
   }
 
   /**
@@ -238,13 +359,14 @@ class Order {
 
   /**
    * Get a simplified version of this order that can be sent between the client, server, and SQL server.
-   * @returns {{type:number,unit:string,result:number}}
+   * @returns {{type:number,unit:string,result:number,isDefault:boolean}}
    */
   export() {
     return {
       type: this.type,
       unit: this.province,
-      result: this.result
+      result: this.result,
+      isDefault: this.isDefault
     };
   }
 }
@@ -259,6 +381,10 @@ class CancelOrder extends Order {
   constructor(province) {
     super(orderTypeEnum.cancel, province, `cancel-${province}`);
   }
+
+  describe(game) {
+    return `Cancel orders for ${game.get_place_name(this.province)}`;
+  }
 }
 
 /**
@@ -272,6 +398,10 @@ class HoldOrder extends Order {
   constructor(province, result = 0) {
     super(orderTypeEnum.hold, province, `hold-${province}`, result);
   }
+
+  describe(game) {
+    return `${game.get_unit_name(this.province)} holds`;
+  }
 }
 
 /**
@@ -315,6 +445,10 @@ class MoveOrder extends Order {
       isconvoy: this.isConvoy
     };
   }
+
+  describe(game) {
+    return `${game.get_unit_name(this.province)} moves to ${game.get_place_name(this.dest, this.coast)}${this.isConvoy ? " via convoy" : ""}`;
+  }
 }
 
 /**
@@ -349,6 +483,10 @@ class ConvoyOrder extends Order {
       end: this.end
     };
   }
+
+  describe(game) {
+    return `${game.get_unit_name(this.province)} convoys ${game.get_unit_name(this.start, undefined, " ")} → ${game.get_place_name(this.end)}`;
+  }
 }
 
 /**
@@ -376,6 +514,10 @@ class SupportHoldOrder extends Order {
       supporting: this.supporting
     };
   }
+
+  describe(game) {
+    return `${game.get_unit_name(this.province)} supports ${game.get_unit_name(this.supporting, undefined, " ")}`;
+  }
 }
 
 /**
@@ -386,10 +528,11 @@ class SupportMoveOrder extends Order {
    * @param {string} province Province ID of supporting unit.
    * @param {string} supporting ID of the province being supported.
    * @param {string} from ID of the starting province of the moving unit.
+   * @param {string} [coast] Coast of `supporting` the supported fleet moves to, or "" for any. Default: "".
    * @param {number} [result] The adjudication result of this order.
    */
-  constructor(province, supporting, from, result = 0) {
-    super(orderTypeEnum["support move"], province, `support-${province}-${from}-${supporting}`, result);
+  constructor(province, supporting, from, coast = "", result = 0) {
+    super(orderTypeEnum["support move"], province, `support-${province}-${from}-${supporting}-${coast}`, result);
 
     /**
      * The ID of the province being supported and the destination province for the moving (supported) unit.
@@ -402,15 +545,27 @@ class SupportMoveOrder extends Order {
      * @type {string}
      */
     this.from = from;
+
+    /**
+     * The coast of `supporting` the supported fleet moves to, or "" if none was named.
+     * Supports match moves by province alone, so the coast only has to be reachable by the supported unit.
+     * @type {string}
+     */
+    this.coast = coast;
   }
 
   export() {
     return {
       ...super.export(),
       supporting: this.supporting,
-      from: this.from
+      from: this.from,
+      coast: this.coast
     };
   }
+
+  describe(game) {
+    return `${game.get_unit_name(this.province)} supports ${game.get_unit_name(this.from, undefined, " ")} → ${game.get_place_name(this.supporting, this.coast)}`;
+  }
 }
 
 /**
@@ -446,6 +601,12 @@ class RetreatOrder extends Order {
       coast: this.coast
     };
   }
+
+  describe(game) {
+    let previous = game.history[game.history.length - 2];
+    let dislodgement = previous && previous.dislodgements ? previous.dislodgements[this.province] : undefined;
+    return `${game.get_unit_name(this.province, dislodgement ? dislodgement.unit : null)} retreats to ${game.get_place_name(this.dest, this.coast)}`;
+  }
 }
 
 /**
@@ -457,9 +618,10 @@ class BuildOrder extends Order {
    * @param {string} province The province to build the unit at.
    * @param {unitTypeEnum} unitType The type of unit to build.
    * @param {string} [coast] The coast to build a fleet on. Default: "".
+   * @param {number} [result] The adjudication result of this order.
    */
-  constructor(country, province, unitType, coast = "") {
-    super(orderTypeEnum.build, province, `build-${province}-${unitType}-${coast}`);
+  constructor(country, province, unitType, coast = "", result = 0) {
+    super(orderTypeEnum.build, province, `build-${province}-${unitType}-${coast}`, result);
     /**
      * The type of unit to build.
      * @type {unitTypeEnum}
@@ -485,9 +647,15 @@ class BuildOrder extends Order {
       province: this.province,
       unitType: this.unitType,
       coast: this.coast,
-      country: this.country
+      country: this.country,
+      result: this.result,
+      isDefault: this.isDefault
     };
   }
+
+  describe(game) {
+    return `Build ${this.unitType == unitTypeEnum.Army ? "Army" : "Fleet"} in ${game.get_place_name(this.province, this.coast)}`;
+  }
 }
 
 /**
@@ -497,9 +665,10 @@ class DisbandOrder extends Order {
   /**
    * @param {string} country The country disbanding the unit.
    * @param {string} province The province of the unit to disband.
+   * @param {number} [result] The adjudication result of this order.
    */
-  constructor(country, province) {
-    super(orderTypeEnum.disband, province, `disband-${province}`);
+  constructor(country, province, result = 0) {
+    super(orderTypeEnum.disband, province, `disband-${province}`, result);
 
     /**
      * The country disbanding the unit.
@@ -512,9 +681,19 @@ class DisbandOrder extends Order {
     return {
       type: this.type,
       unit: this.province,
-      country: this.country
+      country: this.country,
+      result: this.result,
+      isDefault: this.isDefault
     };
   }
+
+  describe(game) {
+    let previous = game.history[game.history.length - 2];
+    let dislodgement = previous && previous.dislodgements ? previous.dislodgements[this.province] : undefined;
+    // During retreats, the unit in the province is the one that dislodged the unit being disbanded
+    let unit = game.phase == phaseEnum["Retreating"] && dislodgement ? dislodgement.unit : game.get_unit(this.province);
+    return `Disband ${game.get_unit_name(this.province, unit)}`;
+  }
 }
 
 /**
@@ -523,9 +702,10 @@ class DisbandOrder extends Order {
 class PassOrder extends Order {
   /**
    * @param {string} country The country that's passing on its build step.
+   * @param {number} [result] The adjudication result of this order.
    */
-  constructor(country) {
-    super(orderTypeEnum.pass, "", `pass`);
+  constructor(country, result = 0) {
+    super(orderTypeEnum.pass, "", `pass`, result);
 
     /**
      * The country that's passing on its build step.
@@ -537,14 +717,20 @@ class PassOrder extends Order {
   export() {
     return {
       type: this.type,
-      country: this.country
+      country: this.country,
+      result: this.result,
+      isDefault: this.isDefault
     };
   }
+
+  describe(game) {
+    return "Build nothing";
+  }
 }
 
 /**
  * Create an {@link Order} object from a simplified order object sent from the client, server, or SQL server.
- * @param {{type:number,unit:string,result:number,province?:string,coast?:string,isconvoy?:boolean,start?:string,end?:string,supporting?:string,from?:string}} imported 
+ * @param {{type:number,unit?:string,result?:number,province?:string,coast?:string,isconvoy?:boolean,start?:string,end?:string,supporting?:string,from?:string,dest?:string,unitType?:number,country?:string,isDefault?:boolean}} imported 
  * @returns {Order}
  */
 function import_order(imported) {
@@ -558,40 +744,717 @@ function import_order(imported) {
     }
   };
 
+  /** @type {Order} */
+  let order;
   switch (imported.type) {
     case orderTypeEnum.cancel:
       requireKeys(["unit"]);
-      return new CancelOrder(imported.unit);
+      order = new CancelOrder(imported.unit);
+      break;
     case orderTypeEnum.hold:
       requireKeys(["unit", "result"]);
-      return new HoldOrder(imported.unit, imported.result);
+      order = new HoldOrder(imported.unit, imported.result);
+      break;
     case orderTypeEnum.move:
       requireKeys(["unit", "result", "province"]);
-      return new MoveOrder(imported.unit, imported.province, keys.includes("coast") ? imported.coast : "", keys.includes("isconvoy") && imported.isconvoy, imported.result);
+      order = new MoveOrder(imported.unit, imported.province, keys.includes("coast") ? imported.coast : "", keys.includes("isconvoy") && imported.isconvoy, imported.result);
+      break;
     case orderTypeEnum.convoy:
       requireKeys(["unit", "result", "start", "end"]);
-      return new ConvoyOrder(imported.unit, imported.start, imported.end, imported.result);
+      order = new ConvoyOrder(imported.unit, imported.start, imported.end, imported.result);
+      break;
     case orderTypeEnum["support hold"]:
       requireKeys(["unit", "result", "supporting"]);
-      return new SupportHoldOrder(imported.unit, imported.supporting, imported.result);
+      order = new SupportHoldOrder(imported.unit, imported.supporting, imported.result);
+      break;
     case orderTypeEnum["support move"]:
       requireKeys(["unit", "result", "supporting", "from"]);
-      return new SupportMoveOrder(imported.unit, imported.supporting, imported.from, imported.result);
+      // Supports saved before coasts were added have none
+      order = new SupportMoveOrder(imported.unit, imported.supporting, imported.from, imported.coast || "", imported.result);
+      break;
     case orderTypeEnum.retreat:
       requireKeys(["unit", "result", "dest", "coast"]);
-      return new RetreatOrder(imported.unit, imported.dest, imported.coast, imported.result);
+      order = new RetreatOrder(imported.unit, imported.dest, imported.coast, imported.result);
+      break;
     case orderTypeEnum.build:
       requireKeys(["country", "province", "unitType", "coast"]);
-      return new BuildOrder(imported.country, imported.province, imported.unitType, imported.coast);
+      order = new BuildOrder(imported.country, imported.province, imported.unitType, imported.coast, imported.result);
+      break;
     case orderTypeEnum.disband:
-      requireKeys(["country", "province"]);
-      return new DisbandOrder(imported.country, imported.province);
+      // Disbands are exported with the key "unit", but older saves stored the province as "province"
+      requireKeys(["country", keys.includes("unit") ? "unit" : "province"]);
+      order = new DisbandOrder(imported.country, keys.includes("unit") ? imported.unit : imported.province, imported.result);
+      break;
     case orderTypeEnum.pass:
       requireKeys(["country"]);
-      return new PassOrder(imported.country);
+      order = new PassOrder(imported.country, imported.result);
+      break;
     default:
       throw Error(`${imported.type} is not a valid order type.`);
   }
+  order.isDefault = !!imported.isDefault;
+  return order;
+}
+
+/**
+ * The scoring systems available to {@link score_game}, by name.
+ * In a solo win the winner takes everything. The systems only differ in how they score draws.
+ * @type {Object.<string, ScoringSystem>}
+ */
+const scoringSystems = {
+  /** Survivors of a draw share 100 points equally. */
+  "draw size": (entries, winner) => {
+    if (winner) return entries.map(entry => entry == winner ? 100 : 0);
+    let survivors = entries.filter(entry => entry.eliminated == -1).length;
+    return entries.map(entry => entry.eliminated == -1 ? 100 / survivors : 0);
+  },
+
+  /** 100 points are shared in proportion to the square of each group's supply center count. */
+  "sum of squares": (entries, winner) => {
+    if (winner) return entries.map(entry => entry == winner ? 100 : 0);
+    let total = entries.reduce((sum, entry) => sum + entry.supplyCenters ** 2, 0);
+    return entries.map(entry => total ? 100 * entry.supplyCenters ** 2 / total : 0);
+  },
+
+  /** 100 points are shared in proportion to each group's supply center count. */
+  "supply centers": (entries, winner) => {
+    if (winner) return entries.map(entry => entry == winner ? 100 : 0);
+    let total = entries.reduce((sum, entry) => sum + entry.supplyCenters, 0);
+    return entries.map(entry => total ? 100 * entry.supplyCenters / total : 0);
+  },
+
+  /**
+   * Groups are ranked by supply centers, then eliminated groups by how long they lasted.
+   * With n groups, first place earns n * 1000 points, second (n - 1) * 1000 and so on, with tied groups sharing their places' points.
+   * Every group also earns a point per supply center. A solo winner earns every rank's points plus a point for every supply center on the map.
+   */
+  carnage: (entries, winner, game) => {
+    let rankPoints = rank => (entries.length - rank) * 1000;
+    if (winner) {
+      let total = entries.reduce((sum, _entry, rank) => sum + rankPoints(rank), 0) + game.mapInfo.provinces.filter(p => p.supplyCenter).length;
+      return entries.map(entry => entry == winner ? total : 0);
+    }
+
+    let standing = entry => entry.eliminated == -1 ? [1, entry.supplyCenters] : [0, entry.eliminated];
+    let compare = (a, b) => standing(b)[0] - standing(a)[0] || standing(b)[1] - standing(a)[1];
+    let ranked = entries.slice().sort(compare);
+    return entries.map(entry => {
+      let first = ranked.findIndex(other => compare(entry, other) == 0);
+      let tied = ranked.filter(other => compare(entry, other) == 0).length;
+      let points = 0;
+      for (let rank = first; rank < first + tied; rank++) points += rankPoints(rank);
+      return points / tied + entry.supplyCenters;
+    });
+  }
+};
+
+/**
+ * Score a finished game with one of the {@link scoringSystems}.
+ * Countries are scored together by country group, using the supply centers they own in the game's current state.
+ * @param {GameData} game A game that has been won or drawn
+ * @param {string} [system] The name of the scoring system. Default: "draw size".
+ * @returns {Object.<string, number>} Maps the username of each player to their score
+ */
+function score_game(game, system = "draw size") {
+  let scoringSystem = scoringSystems[system];
+  if (!scoringSystem) throw Error(`Unknown scoring system "${system}".`);
+  if (game.won == winStateEnum.Playing) throw Error(`Only finished games can be scored.`);
+
+  /** @type {Array.<ScoringEntry>} */
+  let entries = game.playableCountryGroups.map(group => ({
+    player: game.country_group_owner(group) || "",
+    countries: group,
+    supplyCenters: game.country_group_supply_center_count(group),
+    eliminated: game.history.findIndex(state => group.every(country => game.is_eliminated(country, state)))
+  }));
+  let winner = null;
+  if (game.won == winStateEnum.Won) {
+    winner = entries.find(entry => entry.player && entry.player == game.winner)
+      || entries.reduce((best, entry) => entry.supplyCenters > best.supplyCenters ? entry : best);
+  }
+
+  let scores = scoringSystem(entries, winner, game);
+  let result = {};
+  entries.forEach((entry, i) => {
+    if (entry.player) result[entry.player] = scores[i];
+  });
+  return result;
+}
+
+/**
+ * Create a seeded random number generator using the mulberry32 algorithm.
+ * @param {number} seed
+ * @returns {function(): number} Returns a number from 0 (inclusive) to 1 (exclusive) each time it's called
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create the first {@link State} of a game on `mapInfo` for `playerCount` players.
+ *
+ * Each country owns its home supply centers and the units starting in them. Armies start in provinces with a `startUnit` of 1
+ * and fleets in provinces with a `startUnit` of 2, on the coast marked with `frigateStart`. Countries eliminated by the
+ * player configuration are neutral, and keep their units only if `neutralEliminate` is set.
+ * @param {MapInfo} mapInfo
+ * @param {number} playerCount
+ * @returns {State}
+ */
+function create_initial_state(mapInfo, playerCount) {
+  let config = mapInfo.playerConfigurations[playerCount.toString()];
+  if (!config) throw Error(`The map can't be played by ${playerCount} players.`);
+
+  /** @type {State} */
+  let state = { date: mapInfo.info.date, season: seasonEnum.Spring, nations: {}, orders: {}, retreats: {} };
+  for (let country of mapInfo.countries) {
+    state.nations[country.id] = { id: country.id, neutral: config.eliminate.includes(country.id), supplyCenters: country.supplyCenters.slice(), units: [] };
+  }
+
+  for (let province of mapInfo.provinces.filter(p => p.startUnit)) {
+    let country = mapInfo.countries.find(c => c.supplyCenters.includes(province.id));
+    if (!country) throw Error(`The unit starting in ${province.id} isn't in any country's home supply centers.`);
+    let nation = state.nations[country.id];
+    if (nation.neutral && !config.neutralEliminate) continue;
+
+    if (province.startUnit == 1) {
+      nation.units.push({ province: province.id, coast: "", type: unitTypeEnum.Army });
+    } else {
+      let coasts = province.coasts || [];
+      let coast = coasts.find(c => c.frigateStart) || (coasts.length == 1 ? coasts[0] : null);
+      if (!province.water && !coast) throw Error(`The fleet starting in ${province.id} has no coast marked with frigateStart.`);
+      nation.units.push({ province: province.id, coast: province.water ? "" : coast.id, type: unitTypeEnum.Fleet });
+    }
+  }
+  return state;
+}
+
+/**
+ * Create a {@link State} from a simplified state object, as produced by {@link export_state}.
+ * The imported object is not modified.
+ * @param {Object} imported
+ * @returns {State}
+ */
+function import_state(imported) {
+  /** @type {State} */
+  let state = {
+    date: imported.date,
+    season: imported.season,
+    nations: {},
+    orders: {},
+    retreats: {}
+  };
+  for (let [country, nation] of Object.entries(imported.nations)) {
+    state.nations[country] = {
+      id: nation.id,
+      neutral: nation.neutral,
+      supplyCenters: nation.supplyCenters.slice(),
+      units: nation.units.map(unit => ({ ...unit }))
+    };
+    if (nation.toBuild !== undefined) state.nations[country].toBuild = nation.toBuild;
+  }
+  for (let [key, orders] of [["orders", imported.orders || {}], ["retreats", imported.retreats || {}]]) {
+    for (let nation in orders) {
+      state[key][nation] = {};
+      for (let province in orders[nation]) {
+        state[key][nation][province] = import_order(orders[nation][province]);
+      }
+    }
+  }
+  if (imported.contested) {
+    state.contested = imported.contested.slice();
+  }
+  if (imported.eliminated) {
+    state.eliminated = imported.eliminated.slice();
+  }
+  if (imported.dislodgements) {
+    state.dislodgements = {};
+    for (let [province, dislodgement] of Object.entries(imported.dislodgements)) {
+      state.dislodgements[province] = { unit: { ...dislodgement.unit }, from: dislodgement.from, country: dislodgement.country };
+    }
+  }
+  if (imported.adjustments) {
+    state.adjustments = {};
+    for (let nation in imported.adjustments) {
+      state.adjustments[nation] = imported.adjustments[nation].map(import_order);
+    }
+  }
+  return state;
+}
+
+/**
+ * Get a simplified version of a {@link State} that can be sent between the client, server, and SQL server.
+ * @param {State} state
+ * @returns {Object}
+ */
+function export_state(state) {
+  let exported = {
+    date: state.date,
+    season: state.season,
+    nations: {},
+    orders: {},
+    retreats: {}
+  };
+  for (let [country, nation] of Object.entries(state.nations)) {
+    exported.nations[country] = {
+      id: nation.id,
+      neutral: nation.neutral,
+      supplyCenters: nation.supplyCenters.slice(),
+      units: nation.units.map(unit => ({ province: unit.province, coast: unit.coast, type: unit.type }))
+    };
+    if (nation.toBuild !== undefined) exported.nations[country].toBuild = nation.toBuild;
+  }
+  for (let key of ["orders", "retreats"]) {
+    for (let nation in state[key] || {}) {
+      exported[key][nation] = {};
+      for (let province in state[key][nation]) {
+        exported[key][nation][province] = state[key][nation][province].export();
+      }
+    }
+  }
+  if (state.contested) {
+    exported.contested = state.contested.slice();
+  }
+  if (state.eliminated) {
+    exported.eliminated = state.eliminated.slice();
+  }
+  if (state.dislodgements) {
+    exported.dislodgements = {};
+    for (let [province, dislodgement] of Object.entries(state.dislodgements)) {
+      let unit = dislodgement.unit;
+      exported.dislodgements[province] = { unit: { province: unit.province, coast: unit.coast, type: unit.type }, from: dislodgement.from, country: dislodgement.country };
+    }
+  }
+  if (state.adjustments) {
+    exported.adjustments = {};
+    for (let nation in state.adjustments) {
+      exported.adjustments[nation] = state.adjustments[nation].map(order => order.export());
+    }
+  }
+  return exported;
+}
+
+/**
+ * Read a game record written by {@link GameData#export_record}.
+ * Every province, unit and order in the record is checked against `mapInfo`, and an error is thrown at the first mistake.
+ * @param {string} text
+ * @param {MapInfo} mapInfo The map the game was played on
+ * @returns {GameData}
+ */
+function import_record(text, mapInfo) {
+  let mapErrors = validate_map(mapInfo);
+  if (mapErrors.length) throw Error(`Invalid map: ${mapErrors.join(" ")}`);
+
+  let value = (enumeration, key, line) => {
+    if (!(key in enumeration)) throw Error(`Line ${line}: Unknown value "${key}".`);
+    return enumeration[key];
+  };
+
+  let game = new GameData({ mapInfo, won: winStateEnum.Playing, winner: "", id: 0, name: "", map: "", players: {}, users: [], phase: phaseEnum["Order Writing"], history: [] });
+  /** @type {Array.<{index: number, phase: phaseEnum, orders: Array.<{line: number, country: string, key: string, text: string, result: string, isDefault: boolean}>}>} */
+  let blocks = [];
+  let block = null;
+  for (let [i, raw] of text.split(/\r?\n/).entries()) {
+    let line = raw.trim();
+    let n = i + 1;
+    if (!line) continue;
+
+    let header = line.match(/^\[(\w+) (-?\d+)(?: (retreats|adjustments))?\]$/);
+    if (header) {
+      /** @type {State} */
+      let state = { date: parseInt(header[2]), season: value(seasonEnum, header[1], n), nations: {}, orders: {}, retreats: {} };
+      if (header[3] == "adjustments") state.adjustments = {};
+      game.history.push(state);
+      let phase = header[3] == "retreats" ? phaseEnum["Retreating"] : header[3] == "adjustments" ? phaseEnum["Creating/Disbanding"] : phaseEnum["Order Writing"];
+      block = { index: game.history.length - 1, phase, orders: [] };
+      blocks.push(block);
+      continue;
+    }
+
+    let match = line.match(/^([^:]+):\s*(.*)$/);
+    if (!match) throw Error(`Line ${n}: Can't understand "${line}".`);
+    let [, key, rest] = match;
+
+    if (!block) {
+      if (key == "Game") game.id = parseInt(rest);
+      else if (key == "Name") game.name = rest;
+      else if (key == "Map") game.map = rest;
+      else if (key == "User") game.users.push(rest);
+      else if (key == "Phase") game.phase = value(phaseEnum, rest, n);
+      else if (key == "Result") game.won = value(winStateEnum, rest, n);
+      else if (key == "Winner") game.winner = rest;
+      else if (key.startsWith("Player ")) game.players[key.slice(7)] = rest;
+      else throw Error(`Line ${n}: Unknown field "${key}".`);
+      continue;
+    }
+
+    let state = game.history[block.index];
+    let location = (text, type = unitTypeEnum.Army) => {
+      let place = game.parse_location(text);
+      let province = game.get_province(place.province);
+      if (type == unitTypeEnum.Army) {
+        if (province.water) throw Error(`Line ${n}: An army can't be in ${province.id}.`);
+        return { province: place.province, coast: "" };
+      }
+      let coasts = (province.coasts || []).map(c => c.id);
+      if (!province.water && !coasts.length) throw Error(`Line ${n}: A fleet can't be in ${province.id}.`);
+      let inferred = game.infer_coast(coasts, place.coast);
+      if (inferred.coastRequired) throw Error(`Line ${n}: A coast of ${province.id} must be given.`);
+      return { province: place.province, coast: inferred.coast };
+    };
+    let unit = text => {
+      let parts = text.trim().match(/^([AF])\s+(.+)$/i);
+      if (!parts) throw Error(`Line ${n}: Can't understand unit "${text}".`);
+      let type = parts[1].toUpperCase() == "A" ? unitTypeEnum.Army : unitTypeEnum.Fleet;
+      return { ...location(parts[2], type), type };
+    };
+
+    let nationMatch = key.match(/^(\w+)( \(neutral\))?$/);
+    let ordersMatch = key.match(/^(\w+) (order|retreat|adjustment)$/);
+    try {
+      if (key == "Contested") {
+        state.contested = rest ? rest.split(/,\s*/).map(p => location(p).province) : [];
+      } else if (key == "Eliminated") {
+        state.eliminated = rest ? rest.split(/,\s*/) : [];
+        for (let country of state.eliminated) {
+          if (!mapInfo.countries.some(c => c.id == country)) throw Error(`${country} is not a country on this map.`);
+        }
+      } else if (key == "Dislodged") {
+        let parts = rest.match(/^(\w+) (.+) by (\S+)$/);
+        if (!parts) throw Error(`Can't understand dislodgement "${rest}".`);
+        let dislodged = unit(parts[2]);
+        state.dislodgements = state.dislodgements || {};
+        state.dislodgements[dislodged.province] = { unit: dislodged, from: location(parts[3]).province, country: parts[1] };
+      } else if (key.endsWith(" to build")) {
+        let country = key.slice(0, -9);
+        if (!state.nations[country]) throw Error(`${country} has no supply centers listed.`);
+        state.nations[country].toBuild = parseInt(rest);
+      } else if (ordersMatch) {
+        let parts = rest.match(/^(.*?);\s*(\w+)(;\s*default)?$/);
+        if (!parts) throw Error(`Can't understand order "${rest}".`);
+        block.orders.push({ line: n, country: ordersMatch[1], key: ordersMatch[2], text: parts[1], result: parts[2], isDefault: !!parts[3] });
+      } else if (nationMatch) {
+        let country = nationMatch[1];
+        let neutral = !!nationMatch[2];
+        if (!neutral && !mapInfo.countries.some(c => c.id == country)) throw Error(`${country} is not a country on this map.`);
+        let parts = rest.match(/^(\d+) SC \((.*)\); units(.*)$/);
+        if (!parts) throw Error(`Can't understand nation "${rest}".`);
+        let supplyCenters = parts[2] ? parts[2].split(/,\s*/).map(p => location(p).province) : [];
+        if (supplyCenters.length != parseInt(parts[1])) throw Error(`${country} should have ${parts[1]} supply centers.`);
+        for (let province of supplyCenters) {
+          if (!game.get_province(province).supplyCenter) throw Error(`${province} is not a supply center.`);
+        }
+        let units = parts[3].trim() ? parts[3].split(",").map(unit) : [];
+        state.nations[country] = { id: country, neutral, supplyCenters, units };
+      } else {
+        throw Error(`Unknown field "${key}".`);
+      }
+    } catch (e) {
+      throw e.message.startsWith("Line ") ? e : Error(`Line ${n}: ${e.message}`);
+    }
+  }
+
+  // Orders are read once every state is known, so each one is parsed against the state it was given in
+  for (let { index, phase, orders } of blocks) {
+    let view = game.at(index);
+    if (view.phase != phase && index < game.history.length - 1) {
+      throw Error(`Entry ${index + 1} of the history doesn't follow the entry before it.`);
+    }
+    let state = game.history[index];
+    for (let entry of orders) {
+      try {
+        let disband = entry.key == "adjustment" && entry.text.match(/^(?:[AF]\s+)?(.+?)\s+D$/i);
+        let order = disband
+          ? new DisbandOrder(entry.country, view.parse_location(disband[1]).province)
+          : view.parse_order(entry.text, entry.country);
+        order.result = value(orderResultEnum, entry.result, entry.line);
+        order.isDefault = entry.isDefault;
+        let expected = { order: [orderTypeEnum.hold, orderTypeEnum.move, orderTypeEnum["support hold"], orderTypeEnum["support move"], orderTypeEnum.convoy], retreat: [orderTypeEnum.retreat, orderTypeEnum.disband], adjustment: [orderTypeEnum.build, orderTypeEnum.disband, orderTypeEnum.pass] }[entry.key];
+        if (!expected.includes(order.type)) throw Error(`"${entry.text}" is not ${entry.key == "adjustment" ? "an" : "a"} ${entry.key}.`);
+
+        if (entry.key == "adjustment") {
+          if (!state.adjustments) throw Error(`Adjustments can only be given in an adjustment phase.`);
+          state.adjustments[entry.country] = state.adjustments[entry.country] || [];
+          state.adjustments[entry.country].push(order);
+        } else {
+          let key = entry.key == "order" ? "orders" : "retreats";
+          state[key][entry.country] = state[key][entry.country] || {};
+          state[key][entry.country][order.province] = order;
+        }
+      } catch (e) {
+        throw e.message.startsWith("Line ") ? e : Error(`Line ${entry.line}: ${e.message}`);
+      }
+    }
+  }
+  game.invalidate_caches();
+  return game;
+}
+
+/**
+ * Check a map for mistakes before it's used by a {@link GameData}.
+ * @param {MapInfo} mapInfo
+ * @returns {string[]} A description of every problem found. Empty if the map is valid.
+ */
+function validate_map(mapInfo) {
+  let problems = [];
+
+  /** @type {Object.<string, Province>} */
+  let provinces = {};
+  for (let province of mapInfo.provinces) {
+    if (province.id in provinces) problems.push(`Province ID ${province.id} is used more than once.`);
+    provinces[province.id] = province;
+    let coastIds = (province.coasts || []).map(c => c.id);
+    coastIds.filter((id, i) => coastIds.indexOf(id) != i).forEach(id => problems.push(`Coast ID ${id} is used more than once in ${province.id}.`));
+    if (province.water && coastIds.length) problems.push(`Water province ${province.id} has coasts.`);
+  }
+
+  /** @type {Object.<string, string[]>} */
+  let neighbours = {};
+  for (let [i, route] of mapInfo.routes.entries()) {
+    let name = `Route ${i} (${route.p0}${route.c0 ? "/" + route.c0 : ""} - ${route.p1}${route.c1 ? "/" + route.c1 : ""})`;
+    if (!route.water && (route.c0 || route.c1)) {
+      problems.push(`${name} leads to a coast but isn't marked as a water route.`);
+    }
+    for (let [provinceId, coastId] of [[route.p0, route.c0], [route.p1, route.c1]]) {
+      let province = provinces[provinceId];
+      if (!province) {
+        problems.push(`${name} leads to unknown province ${provinceId}.`);
+        continue;
+      }
+      let coasts = province.coasts || [];
+      if (coastId && !coasts.some(c => c.id == coastId)) {
+        problems.push(`${name} leads to unknown coast ${coastId} of ${provinceId}.`);
+      }
+      if (route.water && !province.water && coasts.length == 0) {
+        problems.push(`${name} is a water route but ${provinceId} is landlocked.`);
+      } else if (route.water && !province.water && !coastId) {
+        problems.push(`${name} is a water route but doesn't give a coast of ${provinceId}.`);
+      }
+      if (!route.water && province.water) {
+        problems.push(`${name} is a land route but ${provinceId} is water.`);
+      }
+    }
+    if (provinces[route.p0] && provinces[route.p1]) {
+      (neighbours[route.p0] = neighbours[route.p0] || []).push(route.p1);
+      (neighbours[route.p1] = neighbours[route.p1] || []).push(route.p0);
+    }
+  }
+
+  if (mapInfo.provinces.length) {
+    let reached = [mapInfo.provinces[0].id];
+    for (let i = 0; i < reached.length; i++) {
+      for (let adj of neighbours[reached[i]] || []) {
+        if (!reached.includes(adj)) reached.push(adj);
+      }
+    }
+    for (let province of mapInfo.provinces) {
+      if (!reached.includes(province.id)) {
+        problems.push(`Province ${province.id} can't be reached from ${mapInfo.provinces[0].id}.`);
+      }
+    }
+  }
+
+  let countryIds = mapInfo.countries.map(c => c.id);
+  for (let country of mapInfo.countries) {
+    for (let sc of country.supplyCenters) {
+      if (!provinces[sc]) {
+        problems.push(`Country ${country.id} has unknown province ${sc} as a supply center.`);
+      } else if (!provinces[sc].supplyCenter) {
+        problems.push(`Country ${country.id} has ${sc} as a supply center, but it isn't one.`);
+      }
+    }
+  }
+
+  for (let [players, config] of Object.entries(mapInfo.playerConfigurations)) {
+    for (let country of config.eliminate) {
+      if (!countryIds.includes(country)) problems.push(`Player configuration ${players} eliminates unknown country ${country}.`);
+    }
+    for (let group of config.combine) {
+      for (let country of group) {
+        if (!countryIds.includes(country)) problems.push(`Player configuration ${players} combines unknown country ${country}.`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Create a {@link MapInfo} from a DPjudge-style `.map` file. The following lines are understood:
+ *
+ * - `# comment`
+ * - `Full Name = ABBR [ALIAS...]` names a province.
+ * - `POWER [(ADJECTIVE)] HOME...` adds a country and its home supply centers. The power's name must be in capitals,
+ *   and its home supply centers must have been named by earlier `Full Name = ABBR` lines.
+ * - `A ABBR` or `F ABBR[/COAST]` after a power line places one of its starting units.
+ * - `UNOWNED ABBR...` (or `NEUTRAL`) adds supply centers that start unowned.
+ * - `LAND|COAST|PORT|WATER ABBR[/COAST] ABUTS ADJ...` gives the terrain of a province and its neighbours.
+ *   As in DPjudge, neighbours in lower case can only be reached by fleets and neighbours in mixed case only by armies.
+ * - Other DPjudge directives, such as `VICTORY`, `MAP`, `BEGIN` and `DUMMY`, are skipped. Any other line is an error.
+ *
+ * Coastal provinces with `ABBR/COAST` lines get one {@link Coast} per line. Other coastal provinces get a single coast with ID "c".
+ * @param {string} text The contents of the `.map` file
+ * @param {{name?: string, image?: string, date?: number, coordinates?: Object.<string, {x: number, y: number}>}} [options]
+ * Map information not in the file. Provinces missing from `coordinates` are placed in the middle of the map.
+ * @returns {MapInfo}
+ */
+function import_dpjudge_map(text, options = {}) {
+  const colors = ["#c48f85", "#2a5fa8", "#5d5d5d", "#4fa35a", "#bf4a3a", "#a386b9", "#d9c04a", "#3fa2a8", "#e08a3c", "#7a5230"];
+  const coastNames = { NC: "North Coast", SC: "South Coast", EC: "East Coast", WC: "West Coast" };
+  const directives = ["VICTORY", "MAP", "BEGIN", "DUMMY", "DUMMIES", "UNPLAYED", "ROTATE", "RULE", "RULES", "FLOW", "SEQUENCE", "NEWYEAR", "DROP", "USE", "USES"];
+  let titleCase = name => name.toLowerCase().replace(/(^|[\s-])(\S)/g, (_m, space, letter) => space + letter.toUpperCase());
+
+  /** @type {Object.<string, string>} */
+  let names = {};
+  /** @type {Object.<string, {terrain: string, coasts: string[], abuts: Array.<{coast: string, neighbours: string[]}>}>} */
+  let terrain = {};
+  /** @type {Array.<{name: string, homes: string[], units: Array.<{type: unitTypeEnum, province: string, coast: string}>}>} */
+  let powers = [];
+  let unowned = [];
+
+  for (let [i, rawLine] of text.split(/\r?\n/).entries()) {
+    let line = rawLine.replace(/#.*/, "").trim();
+    if (!line) continue;
+    let words = line.split(/\s+/);
+    let keyword = words[0].toUpperCase();
+
+    if (line.includes("=")) {
+      let [name, abbreviations] = line.split("=");
+      let abbreviation = abbreviations.trim().split(/\s+/)[0];
+      if (!abbreviation) throw Error(`Line ${i + 1}: Missing abbreviation for ${name.trim()}.`);
+      names[abbreviation.toUpperCase()] = titleCase(name.trim());
+    } else if (["LAND", "COAST", "PORT", "WATER"].includes(keyword)) {
+      if (words.length < 3 || words[2].toUpperCase() != "ABUTS") throw Error(`Line ${i + 1}: Expected "${keyword} ABBR ABUTS ...".`);
+      let [province, coast = ""] = words[1].toUpperCase().split("/");
+      let entry = terrain[province] = terrain[province] || { terrain: keyword, coasts: [], abuts: [] };
+      if (!coast) entry.terrain = keyword;
+      if (coast && !entry.coasts.includes(coast)) entry.coasts.push(coast);
+      entry.abuts.push({ coast: coast, neighbours: words.slice(3) });
+    } else if (keyword == "UNOWNED" || keyword == "NEUTRAL") {
+      unowned.push(...words.slice(1).map(w => w.toUpperCase()));
+    } else if ((keyword == "A" || keyword == "F") && words.length == 2) {
+      if (!powers.length) throw Error(`Line ${i + 1}: Unit placed before any power.`);
+      let [province, coast = ""] = words[1].toUpperCase().split("/");
+      powers[powers.length - 1].units.push({ type: keyword == "A" ? unitTypeEnum.Army : unitTypeEnum.Fleet, province: province, coast: coast });
+    } else if (directives.includes(keyword)) {
+      continue;
+    } else {
+      let homes = words.slice(1).filter(w => !/^\(.*\)$/.test(w));
+      // Anything else must be a power whose home supply centers have already been named
+      if (!/^[A-Z][A-Z_]*$/.test(words[0]) || !homes.length || !homes.every(w => w.toUpperCase() in names)) {
+        throw Error(`Line ${i + 1}: unknown directive "${words[0]}".`);
+      }
+      powers.push({ name: titleCase(words[0]), homes: homes.map(w => w.toUpperCase()), units: [] });
+    }
+  }
+
+  let isWater = id => terrain[id] && terrain[id].terrain == "WATER";
+  let isCoastal = id => terrain[id] && (terrain[id].terrain == "COAST" || terrain[id].terrain == "PORT");
+  let coastsOf = id => terrain[id].coasts.length ? terrain[id].coasts.map(c => c.toLowerCase()) : ["c"];
+
+  /** @type {Array.<Province>} */
+  let provinces = [];
+  for (let id of Object.keys(terrain)) {
+    if (!(id in names)) names[id] = id;
+    let position = (options.coordinates || {})[id] || { x: 0.5, y: 0.5 };
+    provinces.push({
+      name: names[id],
+      id: id,
+      x: position.x,
+      y: position.y,
+      startUnit: 0,
+      supplyCenter: unowned.includes(id) || powers.some(p => p.homes.includes(id)),
+      water: isWater(id),
+      coasts: isCoastal(id) ? coastsOf(id).map(c => ({
+        name: coastNames[c.toUpperCase()] || (c == "c" ? "Coast" : `${c.toUpperCase()} Coast`),
+        id: c,
+        x: position.x,
+        y: position.y,
+        frigateStart: false
+      })) : [],
+      transparency: ""
+    });
+  }
+  let findProvince = id => {
+    let province = provinces.find(p => p.id == id);
+    if (!province) throw Error(`Unknown province ${id}.`);
+    return province;
+  };
+
+  /** @type {Array.<Route>} */
+  let routes = [];
+  let addRoute = (p0, c0, p1, c1, water) => {
+    let exists = routes.some(r => r.water == water && ((r.p0 == p0 && r.c0 == c0 && r.p1 == p1 && r.c1 == c1) || (r.p0 == p1 && r.c0 == c1 && r.p1 == p0 && r.c1 == c0)));
+    if (!exists) routes.push({ p0: p0, p1: p1, c0: c0, c1: c1, water: water });
+  };
+  /** The coast of `id` that fleets use to reach `from`, or null if it can't be told. */
+  let coastFacing = (id, from) => {
+    if (isWater(id)) return "";
+    if (!terrain[id].coasts.length) return "c";
+    let facing = terrain[id].abuts.filter(a => a.coast && a.neighbours.some(n => n.toUpperCase().split("/")[0] == from));
+    return facing.length == 1 ? facing[0].coast.toLowerCase() : null;
+  };
+
+  for (let [id, entry] of Object.entries(terrain)) {
+    for (let { coast, neighbours } of entry.abuts) {
+      for (let neighbour of neighbours) {
+        let [other, otherCoast = ""] = neighbour.split("/");
+        let otherId = other.toUpperCase();
+        findProvince(otherId);
+        let fleetsOnly = other == other.toLowerCase();
+        let armiesOnly = !fleetsOnly && other != other.toUpperCase();
+
+        if (!coast && !fleetsOnly && !isWater(id) && !isWater(otherId)) {
+          addRoute(id, "", otherId, "", false);
+        }
+        if (!armiesOnly && (isWater(id) || isCoastal(id)) && (isWater(otherId) || isCoastal(otherId))) {
+          let fromCoast = isWater(id) ? "" : coast ? coast.toLowerCase() : entry.coasts.length ? null : "c";
+          let toCoast = otherCoast ? otherCoast.toLowerCase() : coastFacing(otherId, id);
+          if (fromCoast !== null && toCoast !== null) {
+            addRoute(id, fromCoast, otherId, toCoast, true);
+          }
+        }
+      }
+    }
+  }
+
+  /** @type {Array.<MapCountry>} */
+  let countries = [];
+  for (let [i, power] of powers.entries()) {
+    let countryId = power.name.slice(0, 3).toUpperCase();
+    for (let n = 2; countries.some(c => c.id == countryId); n++) countryId = power.name.slice(0, 2).toUpperCase() + n;
+    power.homes.forEach(findProvince);
+    for (let unit of power.units) {
+      let province = findProvince(unit.province);
+      province.startUnit = unit.type == unitTypeEnum.Army ? 1 : 2;
+      if (unit.type == unitTypeEnum.Fleet && province.coasts.length) {
+        let coast = unit.coast ? province.coasts.find(c => c.id == unit.coast.toLowerCase()) : province.coasts[0];
+        if (!coast) throw Error(`Unknown coast ${unit.coast} of ${unit.province}.`);
+        coast.frigateStart = true;
+      }
+    }
+    countries.push({ name: power.name, id: countryId, color: colors[i % colors.length], supplyCenters: power.homes });
+  }
+
+  let supplyCenterCount = provinces.filter(p => p.supplyCenter).length;
+  return {
+    routes: routes,
+    provinces: provinces,
+    countries: countries,
+    playerConfigurations: { [countries.length]: { eliminate: [], combine: [], neutralEliminate: false } },
+    info: {
+      date: options.date || 1901,
+      name: options.name || "",
+      image: options.image || "",
+      toWin: Math.floor(supplyCenterCount / 2) + 1
+    }
+  };
 }
 
 /**
@@ -625,53 +1488,238 @@ class GameData {
 
     Object.assign(this, json);
 
-    /** @type {Object.<string,Array.<Order>>} */
-    this.orderCache = {};
+    /** @type {MapIndex} */
+    this.mapIndex = this.build_map_index();
 
-    for (let gameState of this.history) {
-      for (let nation in gameState.orders) {
-        for (let province in gameState.orders[nation]) {
-          gameState.orders[nation][province] = import_order(gameState.orders[nation][province]);
-        }
-      }
-    }
+    this.history = this.history.map(import_state);
+
+    this.invalidate_caches();
   }
 
   /**
-   * The current state of the game
-   * @type {State}
+   * Throw away everything cached from the current state, players and units.
+   * Call this after changing `history`, `users` or the units of a state from outside of {@link GameData}.
    */
-  get state() {
-    return this.history[this.history.length - 1];
+  invalidate_caches() {
+    /**
+     * Valid orders by unit, built by {@link GameData#get_valid_orders} for the state in `orderCacheState`.
+     * @type {Object.<string,Array.<Order>>}
+     */
+    this.orderCache = {};
+    /**
+     * Convoy destinations by army and ignored province, found by {@link GameData#get_convoy_destinations} for the state in `orderCacheState`.
+     * @type {Object.<string,Array.<string>>}
+     */
+    this.convoyCache = {};
+    /** @type {State} */
+    this.orderCacheState = null;
+
+    /**
+     * Province-to-unit lookups for each state, built by {@link GameData#get_unit_index}.
+     * @type {WeakMap.<State, Object.<string, {country: string, unit: Unit}>>}
+     */
+    this.unitIndex = new WeakMap();
+
+    /**
+     * Country groups built by {@link GameData#playableCountryGroups} for the user count in `userCount`.
+     * @type {{userCount: number, groups: string[][]}}
+     */
+    this.countryGroupCache = null;
   }
 
   /**
-   * The player configuration being used
-   * @type {PlayerConfiguration}
+   * Get a simplified version of this game that can be sent between the client, server, and SQL server, and passed back to the constructor.
+   * Caches and other runtime fields are left out.
+   * @returns {Object}
    */
-  get playerConfig() {
-    return this.mapInfo.playerConfigurations[this.users.length.toString()];
+  export() {
+    return {
+      mapInfo: this.mapInfo,
+      won: this.won,
+      winner: this.winner,
+      id: this.id,
+      name: this.name,
+      map: this.map,
+      players: { ...this.players },
+      history: this.history.map(export_state),
+      users: this.users.slice(),
+      phase: this.phase
+    };
   }
 
   /**
-   * A list of country groups as an array of arrays of ID's.
-   * Value gets cached.
-   * @type {string[][]}
+   * Write the whole game as a plain-text record that can be read back with {@link import_record}.
+   *
+   * The record starts with the game's details, followed by one block per entry in `history` headed by its season, year and phase.
+   * Each block lists every nation's supply centers and units, its orders, retreats and adjustments in standard notation with their results
+   * (and "default" for orders filled in by {@link GameData#fill_default_orders}),
+   * the contested provinces and dislodgements found by adjudication, and the countries eliminated by the start of each year.
+   * Lines are sorted so two records of the same game diff cleanly.
+   * @returns {string}
    */
-  get playableCountryGroups() {
-    let ungrouped = this.mapInfo.countries.map(c => c.id).filter(id => !this.playerConfig.eliminate.includes(id));
-
-    let groups = this.playerConfig.combine;
-    groups.forEach(rule => { ungrouped = ungrouped.filter(c => !rule.includes(c)); });
-    groups = groups.concat(ungrouped.map(c => [c]));
-
-    Object.defineProperty(this, "playableCountryGroups", { value: groups });
-    return this.playableCountryGroups;
+  export_record() {
+    let name = (enumeration, value) => Object.keys(enumeration).find(key => enumeration[key] == value);
+    let unitText = unit => `${unit.type == unitTypeEnum.Army ? "A" : "F"} ${this.format_place(unit.province, unit.coast)}`;
+    let byProvince = (a, b) => a.province < b.province ? -1 : a.province > b.province ? 1 : 0;
+
+    let lines = [
+      `Game: ${this.id}`,
+      `Name: ${this.name}`,
+      `Map: ${this.map}`,
+      ...this.users.map(user => `User: ${user}`),
+      ...Object.keys(this.players).sort().map(country => `Player ${country}: ${this.players[country]}`),
+      `Phase: ${name(phaseEnum, this.phase)}`,
+      `Result: ${name(winStateEnum, this.won)}`
+    ];
+    if (this.winner) lines.push(`Winner: ${this.winner}`);
+
+    for (let [index, state] of this.history.entries()) {
+      let view = this.at(index);
+      let phase = view.phase == phaseEnum["Retreating"] ? " retreats" : view.phase == phaseEnum["Creating/Disbanding"] ? " adjustments" : "";
+      lines.push("", `[${name(seasonEnum, state.season)} ${state.date}${phase}]`);
+
+      let orderText = order => `${view.format_order(order)}; ${name(orderResultEnum, order.result)}${order.isDefault ? "; default" : ""}`;
+      for (let country of Object.keys(state.nations).sort()) {
+        let nation = state.nations[country];
+        let label = nation.neutral ? `${country} (neutral)` : country;
+        lines.push(`${label}: ${nation.supplyCenters.length} SC (${nation.supplyCenters.slice().sort().join(", ")}); units ${nation.units.slice().sort(byProvince).map(unitText).join(", ")}`);
+        if (nation.toBuild !== undefined) lines.push(`${country} to build: ${nation.toBuild}`);
+        for (let order of Object.values(state.orders[country] || {}).sort(byProvince)) {
+          lines.push(`${country} order: ${orderText(order)}`);
+        }
+        for (let order of Object.values(state.retreats[country] || {}).sort(byProvince)) {
+          lines.push(`${country} retreat: ${orderText(order)}`);
+        }
+        for (let order of (state.adjustments || {})[country] || []) {
+          lines.push(`${country} adjustment: ${orderText(order)}`);
+        }
+      }
+      if (state.contested) {
+        lines.push(`Contested: ${state.contested.slice().sort().join(", ")}`.trim());
+      }
+      if (state.eliminated) {
+        lines.push(`Eliminated: ${state.eliminated.slice().sort().join(", ")}`.trim());
+      }
+      for (let province of Object.keys(state.dislodgements || {}).sort()) {
+        let dislodgement = state.dislodgements[province];
+        lines.push(`Dislodged: ${dislodgement.country} ${unitText(dislodgement.unit)} by ${dislodgement.from.toUpperCase()}`);
+      }
+    }
+    return lines.join("\n") + "\n";
   }
 
   /**
-   * Return whether `order` is a selected order for any player
-   * @param {Order} order
+   * Build lookup tables for the provinces, coasts and routes in `mapInfo`.
+   * @returns {MapIndex}
+   */
+  build_map_index() {
+    /** @type {MapIndex} */
+    let index = { provinces: {}, coasts: {}, adjacencies: {}, neighbours: {} };
+    for (let province of this.mapInfo.provinces) {
+      index.provinces[province.id] = province;
+      index.coasts[province.id] = {};
+      for (let coast of province.coasts || []) {
+        index.coasts[province.id][coast.id] = coast;
+      }
+      index.adjacencies[province.id] = {};
+      index.neighbours[province.id] = { all: [], land: [], water: [] };
+    }
+
+    let addEnd = (from, to, water) => {
+      let adjacencies = index.adjacencies[from.province];
+      let neighbours = index.neighbours[from.province];
+      if (!adjacencies || !neighbours) return;
+      if (!adjacencies[from.coast]) adjacencies[from.coast] = { land: [], water: [] };
+      adjacencies[from.coast][water ? "water" : "land"].push(Object.freeze(to));
+      for (let list of [neighbours.all, water ? neighbours.water : neighbours.land]) {
+        if (!list.includes(to.province)) list.push(to.province);
+      }
+    };
+    for (let route of this.mapInfo.routes) {
+      addEnd({ province: route.p0, coast: route.c0 }, { province: route.p1, coast: route.c1 }, route.water);
+      addEnd({ province: route.p1, coast: route.c1 }, { province: route.p0, coast: route.c0 }, route.water);
+    }
+    return index;
+  }
+
+  /**
+   * The current state of the game
+   * @type {State}
+   */
+  get state() {
+    return this.history[this.history.length - 1];
+  }
+
+  /**
+   * Get a view of the game as it was at an entry in `history`, with the same API as the game itself.
+   * The view's `history` ends at `index`, so `state` and everything built on it answers for that turn.
+   * It has its own copies of the states, players and users, and its own caches, so adjudicating or ordering in the view
+   * never writes to the game it was made from. Only `mapInfo` is shared, which nothing changes once the game is created.
+   * @param {number} index Index into `history`. Negative values count back from the current state.
+   * @returns {GameData}
+   */
+  at(index) {
+    if (index < 0) index += this.history.length;
+    if (!Number.isInteger(index) || index < 0 || index >= this.history.length) {
+      throw Error(`No history entry at index ${index}.`);
+    }
+
+    let view = Object.create(this);
+    view.history = this.history.slice(0, index + 1).map(state => import_state(export_state(state)));
+    view.players = { ...this.players };
+    view.users = this.users.slice();
+    view.invalidate_caches();
+    view.phase = this.phase_at(index);
+    if (index < this.history.length - 1) {
+      view.won = winStateEnum.Playing;
+      view.winner = "";
+    }
+    return view;
+  }
+
+  /**
+   * Work out which phase an entry in `history` was played in.
+   * @param {number} index Index into `history`.
+   * @returns {phaseEnum}
+   */
+  phase_at(index) {
+    if (index == this.history.length - 1) return this.phase;
+    let state = this.history[index];
+    let previous = this.history[index - 1];
+    if (state.adjustments) return phaseEnum["Creating/Disbanding"];
+    if (previous && previous.date == state.date && previous.season == state.season) return phaseEnum["Retreating"];
+    return phaseEnum["Order Writing"];
+  }
+
+  /**
+   * The player configuration being used
+   * @type {PlayerConfiguration}
+   */
+  get playerConfig() {
+    return this.mapInfo.playerConfigurations[this.users.length.toString()];
+  }
+
+  /**
+   * A list of country groups as an array of arrays of ID's.
+   * Value gets cached until the number of users changes. Each call returns a fresh copy.
+   * @type {string[][]}
+   */
+  get playableCountryGroups() {
+    if (!this.countryGroupCache || this.countryGroupCache.userCount != this.users.length) {
+      let ungrouped = this.mapInfo.countries.map(c => c.id).filter(id => !this.playerConfig.eliminate.includes(id));
+
+      let groups = this.playerConfig.combine.map(rule => rule.slice());
+      groups.forEach(rule => { ungrouped = ungrouped.filter(c => !rule.includes(c)); });
+      groups = groups.concat(ungrouped.map(c => [c]));
+
+      this.countryGroupCache = { userCount: this.users.length, groups };
+    }
+    return this.countryGroupCache.groups.map(group => group.slice());
+  }
+
+  /**
+   * Return whether `order` is a selected order for any player
+   * @param {Order} order
    * @returns {boolean}
    */
   is_order_selected(order) {
@@ -739,13 +1787,124 @@ class GameData {
 
   /** Return True if the country group given in `countryList` has yet to be chosen. */
   country_group_unclaimed(countryList) {
-    return this.country_group_owner(countryList) === "";
+    return !this.country_group_owner(countryList);
   }
 
   unclaimed_country_groups() {
     return this.playableCountryGroups.filter(group => this.country_group_unclaimed(group));
   }
 
+  /**
+   * Give every country in `countryList` to `username` by writing to `players`.
+   * @param {string[]} countryList
+   * @param {string} username
+   */
+  set_country_group_owner(countryList, username) {
+    for (let country of countryList) {
+      this.players[country] = username;
+    }
+  }
+
+  /**
+   * Let `username` claim the country group containing `countryId`, first come first served.
+   * The claim is refused if the group is already taken or the user already has one.
+   * Finishes the "Country Claiming" phase once every user has a group.
+   * @param {string} username
+   * @param {string} countryId Any country in the group
+   * @returns {{claimed: boolean, message: string}}
+   */
+  claim_country_group(username, countryId) {
+    if (this.phase != phaseEnum["Country Claiming"]) {
+      return { claimed: false, message: `Countries can only be claimed during the Country Claiming phase.` };
+    }
+    if (!this.users.includes(username)) {
+      return { claimed: false, message: `${username} isn't in this game.` };
+    }
+    let group = this.country_group(countryId);
+    if (!group) {
+      return { claimed: false, message: `${countryId} can't be played.` };
+    }
+    if (!this.country_group_unclaimed(group)) {
+      return { claimed: false, message: `${this.country_names(group).join(" and ")} has already been claimed by ${this.country_group_owner(group)}.` };
+    }
+    let current = this.get_player_country_group(username);
+    if (current) {
+      return { claimed: false, message: `${username} has already claimed ${this.country_names(current).join(" and ")}.` };
+    }
+    this.set_country_group_owner(group, username);
+    this.finish_claiming();
+    return { claimed: true, message: "" };
+  }
+
+  /**
+   * Give every user without a country group one of the unclaimed groups at random.
+   * The same seed always gives the same assignment. Finishes the "Country Claiming" phase.
+   * @param {number} seed
+   */
+  assign_country_groups_randomly(seed) {
+    if (this.phase != phaseEnum["Country Claiming"]) throw Error(`Countries can only be assigned during the Country Claiming phase.`);
+    let random = mulberry32(seed);
+    let groups = this.unclaimed_country_groups();
+    for (let i = groups.length - 1; i > 0; i--) {
+      let j = Math.floor(random() * (i + 1));
+      [groups[i], groups[j]] = [groups[j], groups[i]];
+    }
+    this.unclaimed_users().forEach((user, i) => {
+      if (groups[i]) this.set_country_group_owner(groups[i], user);
+    });
+    this.finish_claiming();
+  }
+
+  /**
+   * Give every user without a country group one of the unclaimed groups according to how they ranked them.
+   *
+   * In each round every remaining user asks for the best ranked group still free. Groups asked for by one user go to them,
+   * and groups asked for by several go to one of them picked with `seed`. Users who run out of ranked groups get the rest at random.
+   * Finishes the "Country Claiming" phase.
+   * @param {Object.<string, string[]>} rankings Maps usernames to country ID's (any country in each group), best first
+   * @param {number} [seed] Default: 0.
+   */
+  assign_country_groups_by_preference(rankings, seed = 0) {
+    if (this.phase != phaseEnum["Country Claiming"]) throw Error(`Countries can only be assigned during the Country Claiming phase.`);
+    let random = mulberry32(seed);
+    let free = this.unclaimed_country_groups();
+    let waiting = this.unclaimed_users();
+    let choices = {};
+    for (let user of waiting) {
+      choices[user] = (rankings[user] || []).map(country => free.find(group => group.includes(country))).filter(group => group);
+    }
+
+    while (waiting.length) {
+      /** @type {Map.<string[], string[]>} */
+      let requests = new Map();
+      for (let user of waiting) {
+        let group = choices[user].find(g => free.includes(g));
+        if (group) requests.set(group, (requests.get(group) || []).concat([user]));
+      }
+      if (!requests.size) break;
+      for (let [group, users] of requests) {
+        let user = users[Math.floor(random() * users.length)];
+        this.set_country_group_owner(group, user);
+        free.splice(free.indexOf(group), 1);
+        waiting.splice(waiting.indexOf(user), 1);
+      }
+    }
+
+    this.assign_country_groups_randomly(Math.floor(random() * 0x100000000));
+  }
+
+  /**
+   * Move on to the "Order Writing" phase if this is the "Country Claiming" phase and every user has a country group.
+   * @returns {boolean} Whether the phase was finished
+   */
+  finish_claiming() {
+    if (this.phase != phaseEnum["Country Claiming"] || this.unclaimed_users().length || this.unclaimed_country_groups().length) {
+      return false;
+    }
+    this.advance_phase();
+    return true;
+  }
+
   /** @param {string} country */
   country_owner(country) {
     return this.players[country];
@@ -820,6 +1979,54 @@ class GameData {
     return null;
   }
 
+  /**
+   * Get the name of a province, followed by the name of the coast if the province has more than one, e.g. "Spain (South Coast)".
+   * @param {string} provinceId
+   * @param {string} [coastId]
+   * @returns {string}
+   */
+  get_place_name(provinceId, coastId = "") {
+    let province = this.get_province(provinceId);
+    if (!province) return provinceId;
+    let coasts = province.coasts || [];
+    let coast = coasts.length > 1 ? coasts.find(c => c.id == coastId) : null;
+    return coast ? `${province.name} (${coast.name})` : province.name;
+  }
+
+  /**
+   * Get a readable name for a unit, e.g. "Fleet in Spain (South Coast)".
+   * @param {string} province The province the unit is in
+   * @param {Unit} [unit] Default: the unit in `province`
+   * @param {string} [separator] Placed between the unit type and its location. Default: " in ".
+   * @returns {string}
+   */
+  get_unit_name(province, unit = this.get_unit(province), separator = " in ") {
+    let type = !unit ? "Unit" : unit.type == unitTypeEnum.Army ? "Army" : "Fleet";
+    return type + separator + this.get_place_name(province, unit ? unit.coast : "");
+  }
+
+  /**
+   * Set the {@link Order#text} of each order and sort them by it.
+   * @template {Order} T
+   * @param {Array.<T>} orders
+   * @returns {Array.<T>} `orders`, sorted in place
+   */
+  sort_orders(orders) {
+    orders.forEach(order => { order.text = order.describe(this); });
+    return orders.sort((a, b) => { return (a.text < b.text) ? -1 : (b.text < a.text) ? 1 : 0 });
+  }
+
+  /**
+   * Empty the caches of valid orders and convoy destinations if the current state has changed since they were filled.
+   */
+  sync_order_cache() {
+    if (this.orderCacheState != this.state) {
+      this.orderCache = {};
+      this.convoyCache = {};
+      this.orderCacheState = this.state;
+    }
+  }
+
   /**
    * Get all valid orders for `unit`
    * 
@@ -828,13 +2035,15 @@ class GameData {
    * @returns {Array.<Order>} Valid orders for `unit`
    */
   get_valid_orders(unit) {
-    if (!this.orderCache[unit.province]) {
-      this.orderCache[unit.province] = [];
-      this.orderCache[unit.province].push(new HoldOrder(unit.province));
-      this.orderCache[unit.province].push(...this.get_adjacencies(unit.province, unit.coast).map(otherSide => new MoveOrder(unit.province, otherSide.province, otherSide.coast, false)));
+    this.sync_order_cache();
+    let key = `${unit.province}-${unit.type}-${unit.coast}`;
+    if (!this.orderCache[key]) {
+      this.orderCache[key] = [];
+      this.orderCache[key].push(new HoldOrder(unit.province));
+      this.orderCache[key].push(...this.get_adjacencies(unit.province, unit.coast).map(otherSide => new MoveOrder(unit.province, otherSide.province, otherSide.coast, false)));
       if (unit.type == unitTypeEnum.Army) {
-        let convoys = this.convoy_pathfind(this.get_province(unit.province));
-        this.orderCache[unit.province].push(...convoys.map(p => new MoveOrder(unit.province, p, "", true)));
+        let convoys = this.get_convoy_destinations(unit.province);
+        this.orderCache[key].push(...convoys.map(p => new MoveOrder(unit.province, p, "", true)));
       } else if (!unit.coast) {
         let allReachable = this.convoy_pathfind(this.get_province(unit.province));
         for (let start of allReachable) {
@@ -842,23 +2051,95 @@ class GameData {
           if (armyUnit && armyUnit.type == unitTypeEnum.Army) {
             let ends = allReachable.slice();
             ends.splice(ends.indexOf(start), 1);
-            this.orderCache[unit.province].push(...ends.map(end => new ConvoyOrder(unit.province, start, end)));
+            this.orderCache[key].push(...ends.map(end => new ConvoyOrder(unit.province, start, end)));
           }
         }
       }
-      for (let adj of this.get_adjacencies(unit.province, unit.coast)) {
-        let adjUnit = this.get_unit(adj.province);
+      // Supports only need to reach the province, so provinces reachable on more than one coast are only counted once
+      let supportable = this.get_adjacencies(unit.province, unit.coast).map(adj => adj.province).filter((p, i, all) => all.indexOf(p) == i);
+      for (let adj of supportable) {
+        let adjUnit = this.get_unit(adj);
         if (adjUnit) {
-          this.orderCache[unit.province].push(new SupportHoldOrder(unit.province, adjUnit.province));
+          this.orderCache[key].push(new SupportHoldOrder(unit.province, adjUnit.province));
         }
-        let movableTo = this.get_units_movable_to(adj.province, unit.province, unit.province);
+        let movableTo = this.get_units_movable_to(adj, unit.province, unit.province);
         for (let other of movableTo) {
-          this.orderCache[unit.province].push(new SupportMoveOrder(unit.province, adj.province, other.province));
+          this.orderCache[key].push(new SupportMoveOrder(unit.province, adj, other.province));
         }
       }
-      this.orderCache[unit.province].sort((a, b) => { return (a.text < b.text) ? -1 : (b.text < a.text) ? 1 : 0 });
+      this.sort_orders(this.orderCache[key]);
+    }
+    return this.orderCache[key];
+  }
+
+  /**
+   * Return whether `order` is one of the valid orders of `unit` during the current phase.
+   * Valid orders list supports into each province once without a coast, so a support naming a coast
+   * counts if the supported unit can reach that coast.
+   * @param {Unit} unit
+   * @param {Order} order
+   * @returns {boolean}
+   */
+  is_valid_unit_order(unit, order) {
+    if (order.type == orderTypeEnum["support move"] && order.coast) {
+      if (!this.get_units_movable_to(order.supporting, order.province, order.province, order.coast).some(u => u.province == order.from)) return false;
+      order = new SupportMoveOrder(order.province, order.supporting, order.from);
+    }
+    return this.get_valid_orders(unit).some(o => o.equals(order));
+  }
+
+  /**
+   * Get the coasts of `dest` that `unit` can move to directly.
+   * Contains "" if `dest` is reached without a coast, as armies and fleets moving to water provinces do.
+   * @param {Unit} unit
+   * @param {string} dest
+   * @returns {string[]}
+   */
+  get_reachable_coasts(unit, dest) {
+    return this.get_adjacencies(unit.province, unit.coast).filter(adj => adj.province == dest).map(adj => adj.coast);
+  }
+
+  /**
+   * Choose a coast out of `coasts`, inferring it if none was given and only one is possible.
+   * @param {string[]} coasts The possible coasts, as returned by {@link GameData#get_reachable_coasts}
+   * @param {string} [coast] The coast that was given, or "" if none. Default: "".
+   * @returns {{coast: string, coastRequired: boolean}} The chosen coast. `coastRequired` is true if none was given and more than one is possible.
+   */
+  infer_coast(coasts, coast = "") {
+    if (coast !== "" || coasts.includes("")) return { coast: coast, coastRequired: false };
+    if (coasts.length == 1) return { coast: coasts[0], coastRequired: false };
+    return { coast: "", coastRequired: coasts.length > 1 };
+  }
+
+  /**
+   * Fill in the coast of a move, retreat or fleet build given without one, when only one coast is possible.
+   * Orders that already have a coast, need none or could use more than one are returned unchanged.
+   * @param {Order} order
+   * @returns {Order} `order`, or a copy of it with the inferred coast
+   */
+  infer_order_coast(order) {
+    if (order.coast !== "") return order;
+    if (order.type == orderTypeEnum.build) {
+      let province = this.get_province(order.province);
+      if (order.unitType != unitTypeEnum.Fleet || !province || province.water) return order;
+      let inferred = this.infer_coast((province.coasts || []).map(c => c.id));
+      return inferred.coast ? new BuildOrder(order.country, order.province, order.unitType, inferred.coast, order.result) : order;
+    }
+
+    let unit = null;
+    if (order.type == orderTypeEnum.move && !order.isConvoy) {
+      unit = this.get_unit(order.province);
+    } else if (order.type == orderTypeEnum.retreat) {
+      let previous = this.history[this.history.length - 2];
+      let dislodgement = previous && previous.dislodgements ? previous.dislodgements[order.province] : undefined;
+      unit = dislodgement ? dislodgement.unit : null;
     }
-    return this.orderCache[unit.province];
+    if (!unit) return order;
+    let inferred = this.infer_coast(this.get_reachable_coasts(unit, order.dest));
+    if (!inferred.coast) return order;
+    return order.type == orderTypeEnum.move
+      ? new MoveOrder(order.province, order.dest, inferred.coast, false, order.result)
+      : new RetreatOrder(order.province, order.dest, inferred.coast, order.result);
   }
 
   /**
@@ -868,7 +2149,7 @@ class GameData {
    */
   get_valid_retreats(dislodgement) {
     let contested = this.history[this.history.length - 2].contested;
-    return this.get_adjacencies(dislodgement.unit.province, dislodgement.unit.coast).filter(p => p.province != dislodgement.from && !contested.includes(p.province) && !this.get_unit(p.province)).map(p => new RetreatOrder(dislodgement.unit.province, p.province, p.coast));
+    return this.sort_orders(this.get_adjacencies(dislodgement.unit.province, dislodgement.unit.coast).filter(p => p.province != dislodgement.from && !contested.includes(p.province) && !this.get_unit(p.province)).map(p => new RetreatOrder(dislodgement.unit.province, p.province, p.coast)));
   }
 
   /**
@@ -877,7 +2158,7 @@ class GameData {
    * @returns {Array<RetreatOrder>}
    */
   get_valid_build_orders(country) {
-    return this.get_owned_home_supply_centers(country).filter(sc => !this.get_unit(sc)).flatMap(sc => {
+    return this.sort_orders(this.get_owned_home_supply_centers(country).filter(sc => !this.get_unit(sc)).flatMap(sc => {
       let province = this.get_province(sc);
       if (province.coasts) {
         return province.coasts.map(c => new BuildOrder(country, sc, unitTypeEnum.Fleet, c.id)).concat(new BuildOrder(country, sc, unitTypeEnum.Army));
@@ -886,7 +2167,7 @@ class GameData {
       } else {
         return [new BuildOrder(country, sc, unitTypeEnum.Army)];
       }
-    }).concat(new PassOrder(country));
+    }).concat(new PassOrder(country)));
   }
 
   /**
@@ -895,7 +2176,438 @@ class GameData {
    * @returns {Array<DisbandOrder>}
    */
   get_valid_disband_orders(country) {
-    return this.state.nations[country].units.map(unit => new DisbandOrder(country, unit.province));
+    return this.sort_orders(this.state.nations[country].units.map(unit => new DisbandOrder(country, unit.province)));
+  }
+
+  /**
+   * Check whether `nationId` may give `order` during the current phase.
+   * A missing coast is inferred with {@link GameData#infer_order_coast} first, so only ambiguous ones are rejected.
+   * @param {Order} order
+   * @param {string} nationId
+   * @returns {{valid: boolean, code: orderValidationEnum, message: string}}
+   */
+  validate_order(order, nationId) {
+    order = this.infer_order_coast(order);
+    let reject = (code, message) => ({ valid: false, code: orderValidationEnum[code], message: message });
+    let typeName = Object.keys(orderTypeEnum).find(key => orderTypeEnum[key] == order.type);
+    let phaseName = Object.keys(phaseEnum).find(key => phaseEnum[key] == this.phase);
+
+    let phaseTypes = {
+      [phaseEnum["Order Writing"]]: [orderTypeEnum.hold, orderTypeEnum.move, orderTypeEnum["support hold"], orderTypeEnum["support move"], orderTypeEnum.convoy],
+      [phaseEnum["Retreating"]]: [orderTypeEnum.retreat, orderTypeEnum.disband],
+      [phaseEnum["Creating/Disbanding"]]: [orderTypeEnum.build, orderTypeEnum.disband, orderTypeEnum.pass]
+    };
+    let allowed = phaseTypes[this.phase] || [];
+    if (typeName === undefined) {
+      return reject("invalid", `${order.type} is not a valid order type.`);
+    }
+    if (!allowed.includes(order.type) && !(order.type == orderTypeEnum.cancel && allowed.length)) {
+      return reject("wrong phase", `${typeName} orders can't be given during the ${phaseName} phase.`);
+    }
+
+    let nation = this.state.nations[nationId];
+    if (!nation) {
+      return reject("not owned", `Unknown nation ${nationId}.`);
+    }
+    let unit = nation.units.find(u => u.province == order.province);
+    let previous = this.history[this.history.length - 2];
+    let dislodgement = previous && previous.dislodgements ? previous.dislodgements[order.province] : undefined;
+
+    /**
+     * Check that `dest` and `coast` can be reached from `from`.
+     * @param {Unit} from
+     * @param {string} dest
+     * @param {string} coast
+     */
+    let checkReachable = (from, dest, coast) => {
+      let coasts = this.get_reachable_coasts(from, dest);
+      if (coasts.length == 0) {
+        return reject("not adjacent", `${dest} can't be reached from ${from.province}.`);
+      }
+      if (!coasts.includes(coast)) {
+        return coast === ""
+          ? reject("coast required", `A coast of ${dest} must be specified (${coasts.join(", ")}).`)
+          : reject("invalid coast", `Coast ${coast} of ${dest} can't be reached from ${from.province}.`);
+      }
+      return null;
+    };
+
+    switch (order.type) {
+      case orderTypeEnum.cancel:
+        if (this.phase == phaseEnum["Retreating"] ? !(dislodgement && dislodgement.country == nationId) : !unit && !this.get_home_supply_centers(nationId).includes(order.province)) {
+          return reject("not owned", `${nationId} has no order at ${order.province} to cancel.`);
+        }
+        return { valid: true, code: orderValidationEnum.valid, message: "" };
+      case orderTypeEnum.build: {
+        if (order.country != nationId) {
+          return reject("not owned", `${nationId} can't build for ${order.country}.`);
+        }
+        if (!this.get_home_supply_centers(nationId).includes(order.province)) {
+          return reject("invalid build", `${order.province} is not a home supply center of ${nationId}.`);
+        }
+        if (!nation.supplyCenters.includes(order.province)) {
+          return reject("invalid build", `${nationId} no longer owns ${order.province}.`);
+        }
+        if (this.get_unit(order.province)) {
+          return reject("invalid build", `${order.province} is occupied.`);
+        }
+        if (!(nation.toBuild > 0)) {
+          return reject("invalid build", `${nationId} has no units to build.`);
+        }
+        let province = this.get_province(order.province);
+        let coasts = (province.coasts || []).map(c => c.id);
+        if (order.unitType == unitTypeEnum.Fleet && !province.water && !coasts.includes(order.coast)) {
+          return order.coast === "" && coasts.length > 1
+            ? reject("coast required", `A coast of ${order.province} must be specified (${coasts.join(", ")}).`)
+            : reject("invalid coast", `A fleet can't be built on coast "${order.coast}" of ${order.province}.`);
+        }
+        break;
+      }
+      case orderTypeEnum.pass:
+        if (order.country != nationId) {
+          return reject("not owned", `${nationId} can't pass for ${order.country}.`);
+        }
+        break;
+      case orderTypeEnum.disband:
+        if (this.phase == phaseEnum["Retreating"]) {
+          if (order.country != nationId || !dislodgement || dislodgement.country != nationId) {
+            return reject("not owned", `${nationId} has no dislodged unit at ${order.province}.`);
+          }
+          return { valid: true, code: orderValidationEnum.valid, message: "" };
+        }
+        if (order.country != nationId || !unit) {
+          return reject("not owned", `${nationId} has no unit at ${order.province}.`);
+        }
+        if (!(nation.toBuild < 0)) {
+          return reject("invalid", `${nationId} has no units to disband.`);
+        }
+        break;
+      case orderTypeEnum.retreat: {
+        if (!dislodgement || dislodgement.country != nationId) {
+          return reject("not owned", `${nationId} has no dislodged unit at ${order.province}.`);
+        }
+        let unreachable = checkReachable(dislodgement.unit, order.dest, order.coast);
+        if (unreachable) return unreachable;
+        if (!this.get_valid_retreats(dislodgement).some(o => o.equals(order))) {
+          return reject("invalid", `The unit at ${order.province} can't retreat to a contested or occupied province, or to where its attacker came from.`);
+        }
+        return { valid: true, code: orderValidationEnum.valid, message: "" };
+      }
+      default: {
+        if (!unit) {
+          return reject("not owned", `${nationId} has no unit at ${order.province}.`);
+        }
+        if (order.type == orderTypeEnum.move) {
+          if (order.isConvoy) {
+            if (unit.type != unitTypeEnum.Army) {
+              return reject("invalid", `Only armies can be convoyed.`);
+            }
+            if (!this.convoy_pathfind(this.get_province(unit.province)).includes(order.dest)) {
+              return reject("no convoy path", `No chain of fleets can convoy ${order.province} to ${order.dest}.`);
+            }
+          } else {
+            let unreachable = checkReachable(unit, order.dest, order.coast);
+            if (unreachable) return unreachable;
+          }
+        } else if (order.type == orderTypeEnum["support hold"] || order.type == orderTypeEnum["support move"]) {
+          if (!this.get_adjacencies(unit.province, unit.coast).some(adj => adj.province == order.supporting)) {
+            return reject("not adjacent", `The unit at ${order.province} can't reach ${order.supporting} to support it.`);
+          }
+          if (order.type == orderTypeEnum["support move"] && order.coast
+            && !this.get_units_movable_to(order.supporting, order.province, order.province, order.coast).some(u => u.province == order.from)) {
+            return reject("invalid coast", `The unit at ${order.from} can't move to coast ${order.coast} of ${order.supporting}.`);
+          }
+        } else if (order.type == orderTypeEnum.convoy) {
+          if (unit.type != unitTypeEnum.Fleet || !this.get_province(unit.province).water) {
+            return reject("invalid", `Only fleets at sea can convoy.`);
+          }
+          let army = this.get_unit(order.start);
+          if (!army || army.type != unitTypeEnum.Army || !this.convoy_pathfind(this.get_province(order.start)).includes(order.end)) {
+            return reject("no convoy path", `No chain of fleets can convoy ${order.start} to ${order.end}.`);
+          }
+        }
+        if (!this.is_valid_unit_order(unit, order)) {
+          return reject("invalid", `${order.id} is not a valid order for the unit at ${order.province}.`);
+        }
+        return { valid: true, code: orderValidationEnum.valid, message: "" };
+      }
+    }
+
+    if (!this.get_valid_build_orders(nationId).concat(this.get_valid_disband_orders(nationId)).some(o => o.equals(order))) {
+      return reject("invalid", `${order.id} is not a valid order for ${nationId}.`);
+    }
+    return { valid: true, code: orderValidationEnum.valid, message: "" };
+  }
+
+  /**
+   * Submit an order on behalf of a player during the current phase, replacing any order already given to the same unit.
+   *
+   * The player must control the ordering nation through `players`. Orders are stored in `state.orders`, `state.retreats`
+   * or `state.adjustments` depending on the phase, with any coast that can be inferred filled in by {@link GameData#infer_order_coast}.
+   * A {@link CancelOrder} removes the order stored for its province instead.
+   * Adjustments replace the order for the same province, or the nation's oldest adjustment once it has given as many as it may make.
+   * @param {string} username
+   * @param {Order} order
+   * @returns {{valid: boolean, code: orderValidationEnum, message: string, nation: string, replaced: Order}} `replaced` is the order removed by this one, if any
+   */
+  submit_order(username, order) {
+    order = this.infer_order_coast(order);
+    let retreating = this.phase == phaseEnum["Retreating"];
+    let adjusting = this.phase == phaseEnum["Creating/Disbanding"];
+    let state = this.state;
+    let orders = retreating ? state.retreats : state.orders;
+    if (adjusting && !state.adjustments) state.adjustments = {};
+
+    /** Find the stored order of `nationId` for `province`. */
+    let stored = (nationId, province) => adjusting
+      ? (state.adjustments[nationId] || []).find(o => o.province == province)
+      : (orders[nationId] || {})[province];
+
+    let group = this.get_player_country_group(username) || [];
+    let nationId = "";
+    if (order.type == orderTypeEnum.cancel) {
+      nationId = group.find(c => stored(c, order.province));
+    } else if (order.type == orderTypeEnum.build || order.type == orderTypeEnum.disband || order.type == orderTypeEnum.pass) {
+      nationId = order.country;
+    } else if (order.type == orderTypeEnum.retreat) {
+      let previous = this.history[this.history.length - 2];
+      let dislodgement = previous && previous.dislodgements ? previous.dislodgements[order.province] : undefined;
+      nationId = dislodgement ? dislodgement.country : "";
+    } else {
+      nationId = this.get_unit_owner_id(order.province);
+    }
+    if (!nationId || !group.includes(nationId)) {
+      let message = order.type == orderTypeEnum.cancel
+        ? `${username} has no order at ${order.province} to cancel.`
+        : `${username} doesn't control ${nationId || `a unit at ${order.province}`}.`;
+      return { valid: false, code: orderValidationEnum["not owned"], message, nation: nationId || "", replaced: null };
+    }
+
+    let validation = this.validate_order(order, nationId);
+    if (!validation.valid) {
+      return { ...validation, nation: nationId, replaced: null };
+    }
+
+    let replaced = null;
+    if (adjusting) {
+      let adjustments = state.adjustments[nationId] = state.adjustments[nationId] || [];
+      let index = order.type == orderTypeEnum.pass ? -1 : adjustments.findIndex(o => o.province == order.province);
+      if (index == -1 && order.type != orderTypeEnum.cancel && adjustments.length >= Math.abs(state.nations[nationId].toBuild || 0)) {
+        index = 0;
+      }
+      if (index != -1 && adjustments.length) {
+        replaced = adjustments.splice(index, 1)[0];
+      }
+      if (order.type != orderTypeEnum.cancel) {
+        adjustments.push(order);
+      }
+    } else {
+      orders[nationId] = orders[nationId] || {};
+      replaced = orders[nationId][order.province] || null;
+      if (order.type == orderTypeEnum.cancel) {
+        delete orders[nationId][order.province];
+      } else {
+        orders[nationId][order.province] = order;
+      }
+    }
+    return { ...validation, nation: nationId, replaced };
+  }
+
+  /**
+   * Find the province and coast named by `text`, such as "STP/SC", "stp", "St Petersburg (South Coast)" or "Spain/sc".
+   * Provinces and coasts may be given by ID or by name, in any case.
+   * @param {string} text
+   * @returns {PlaceIdentifier}
+   */
+  parse_location(text) {
+    let match = text.trim().match(/^(.*?)\s*(?:\/\s*(.+)|\((.+)\))?$/);
+    let provinceText = match[1].toLowerCase();
+    let coastText = (match[2] || match[3] || "").trim().toLowerCase();
+
+    let province = this.mapInfo.provinces.find(p => p.id.toLowerCase() == provinceText || p.name.toLowerCase() == provinceText);
+    if (!province) throw Error(`Unknown province "${match[1]}".`);
+    if (!coastText) return { province: province.id, coast: "" };
+
+    let coast = (province.coasts || []).find(c => c.id.toLowerCase() == coastText || c.name.toLowerCase() == coastText);
+    if (!coast) throw Error(`${province.name} has no coast "${coastText}".`);
+    return { province: province.id, coast: coast.id };
+  }
+
+  /**
+   * Parse an order written in standard notation, such as "A PAR - BUR", "F NTH C A LON - NWY", "A MUN S A BER - SIL",
+   * "F STP/SC - BOT", "A LON - NWY VIA C", "A PAR H", "A BUR R BEL", "A PAR D", "BUILD F STP/NC" or "WAIVE".
+   *
+   * Moves are read as retreats during the "Retreating" phase. Armies moving to a province they aren't adjacent to are convoyed.
+   * The destination coast of a fleet is inferred when only one can be reached.
+   * The order is not checked against the rules; use {@link GameData#validate_order} for that.
+   * @param {string} text
+   * @param {string} [nationId] The nation giving the order. Required for "WAIVE", otherwise inferred from the map.
+   * @returns {Order}
+   */
+  parse_order(text, nationId = "") {
+    const keywords = {
+      "-": "-",
+      S: "S", SUPPORT: "S", SUPPORTS: "S",
+      C: "C", CONVOY: "C", CONVOYS: "C",
+      H: "H", HOLD: "H", HOLDS: "H",
+      R: "R", RETREAT: "R", RETREATS: "R",
+      D: "D", DISBAND: "D", DISBANDS: "D",
+      B: "B", BUILD: "B", BUILDS: "B",
+      W: "W", WAIVE: "W", PASS: "W",
+      VIA: "V"
+    };
+    const unitTypes = { A: unitTypeEnum.Army, ARMY: unitTypeEnum.Army, F: unitTypeEnum.Fleet, FLEET: unitTypeEnum.Fleet };
+
+    /** @type {Array.<{keyword: string, type: unitTypeEnum, words: string[]}>} */
+    let segments = [];
+    let names = this.mapInfo.provinces.map(p => p.name.toLowerCase());
+    let tokens = text.trim()
+      .replace(/\s*(?:->|→)\s*/g, " - ")
+      .replace(/(\S+)-(\S+)/g, (word, start, end) => names.some(n => n.includes(word.toLowerCase())) ? word : `${start} - ${end}`)
+      .split(/\s+/).filter(t => t);
+    for (let [i, token] of tokens.entries()) {
+      let upper = token.toUpperCase();
+      let last = segments[segments.length - 1];
+      if (last && last.keyword == "V") {
+        if (upper != "C" && upper != "CONVOY") throw Error(`Expected "VIA CONVOY" in "${text}".`);
+      } else if (upper in keywords && !(last && !last.keyword && last.words.length == 0)) {
+        segments.push({ keyword: keywords[upper], type: null, words: [] });
+      } else if (upper in unitTypes && i + 1 < tokens.length && !(last && !last.keyword)) {
+        segments.push({ keyword: "", type: unitTypes[upper], words: [] });
+      } else if (last && !last.keyword) {
+        last.words.push(token);
+      } else {
+        segments.push({ keyword: "", type: null, words: [token] });
+      }
+    }
+
+    let pattern = segments.map(s => s.keyword || "L").join("");
+    let locations = segments.filter(s => !s.keyword).map(s => ({ ...this.parse_location(s.words.join(" ")), type: s.type }));
+    let retreating = this.phase == phaseEnum["Retreating"];
+
+    if (pattern == "W") {
+      if (!nationId) throw Error(`A nation is required to waive a build.`);
+      return new PassOrder(nationId);
+    }
+    if (pattern == "BL" || pattern == "LB") {
+      let { province, coast, type } = locations[0];
+      if (type === null) throw Error(`A unit type is required to build in ${province}.`);
+      let country = nationId || (this.mapInfo.countries.find(c => c.supplyCenters.includes(province)) || {}).id;
+      if (!country) throw Error(`${province} is not a home supply center.`);
+      if (type == unitTypeEnum.Fleet) {
+        let coasts = (this.get_province(province).coasts || []).map(c => c.id);
+        let inferred = this.infer_coast(coasts, coast);
+        if (inferred.coastRequired) throw Error(`A coast of ${province} must be specified (${coasts.join(", ")}).`);
+        coast = inferred.coast;
+      }
+      return new BuildOrder(country, province, type, coast);
+    }
+
+    let unitProvince = locations.length ? locations[0].province : "";
+    let previous = this.history[this.history.length - 2];
+    let unit = retreating
+      ? (previous && previous.dislodgements && previous.dislodgements[unitProvince] || {}).unit
+      : this.get_unit(unitProvince);
+    if (!unit) throw Error(`There is no ${retreating ? "dislodged " : ""}unit in ${unitProvince || "that province"}.`);
+    if (locations[0].type !== null && locations[0].type != unit.type) {
+      throw Error(`The unit in ${unitProvince} is ${unit.type == unitTypeEnum.Army ? "an army" : "a fleet"}.`);
+    }
+
+    /** Infer the coast a fleet moves to when only one can be reached. */
+    let destCoast = dest => {
+      if (unit.type == unitTypeEnum.Army) return "";
+      let coasts = this.get_reachable_coasts(unit, dest.province);
+      let inferred = this.infer_coast(coasts, dest.coast);
+      if (inferred.coastRequired) throw Error(`A coast of ${dest.province} must be specified (${coasts.join(", ")}).`);
+      return inferred.coast;
+    };
+
+    switch (pattern) {
+      case "LH":
+        return new HoldOrder(unitProvince);
+      case "L-L":
+      case "L-LV":
+      case "LRL":
+        if (retreating) {
+          return new RetreatOrder(unitProvince, locations[1].province, destCoast(locations[1]));
+        } else {
+          let adjacent = this.get_adjacencies(unit.province, unit.coast).some(adj => adj.province == locations[1].province);
+          let isConvoy = pattern == "L-LV" || (unit.type == unitTypeEnum.Army && !adjacent);
+          return new MoveOrder(unitProvince, locations[1].province, isConvoy ? "" : destCoast(locations[1]), isConvoy);
+        }
+      case "LSL":
+        return new SupportHoldOrder(unitProvince, locations[1].province);
+      case "LSL-L":
+        return new SupportMoveOrder(unitProvince, locations[2].province, locations[1].province, locations[2].coast);
+      case "LCL-L":
+        return new ConvoyOrder(unitProvince, locations[1].province, locations[2].province);
+      case "LD":
+      case "DL":
+        return new DisbandOrder(nationId || this.get_unit_owner_id(unitProvince), unitProvince);
+      default:
+        throw Error(`Can't understand order "${text}".`);
+    }
+  }
+
+  /**
+   * Write a place in standard notation, e.g. "STP/NC". The coast is only written for provinces with more than one.
+   * @param {string} provinceId
+   * @param {string} [coastId]
+   * @returns {string}
+   */
+  format_place(provinceId, coastId = "") {
+    let coasts = (this.get_province(provinceId) || {}).coasts || [];
+    return provinceId.toUpperCase() + (coastId && coasts.length > 1 ? `/${coastId.toUpperCase()}` : "");
+  }
+
+  /**
+   * Write an order in standard notation, e.g. "F NTH C A LON - NWY". The inverse of {@link GameData#parse_order}.
+   * Unit types are taken from the current state and omitted if there is no unit.
+   * @param {Order} order
+   * @returns {string}
+   */
+  format_order(order) {
+    let previous = this.history[this.history.length - 2];
+    let unitAt = province => {
+      let retreating = order.type == orderTypeEnum.retreat || (order.type == orderTypeEnum.disband && this.phase == phaseEnum["Retreating"]);
+      if (retreating && province == order.province) {
+        let dislodgement = previous && previous.dislodgements && previous.dislodgements[province];
+        return dislodgement ? dislodgement.unit : null;
+      }
+      return this.get_unit(province);
+    };
+    let place = (province, coast = "") => this.format_place(province, coast);
+    let unit = (province, type = null) => {
+      let u = unitAt(province);
+      if (type === null && u) type = u.type;
+      let letter = type === null ? "" : type == unitTypeEnum.Army ? "A " : "F ";
+      return letter + place(province, u && type == u.type ? u.coast : "");
+    };
+
+    switch (order.type) {
+      case orderTypeEnum.cancel:
+        return `CANCEL ${place(order.province)}`;
+      case orderTypeEnum.hold:
+        return `${unit(order.province)} H`;
+      case orderTypeEnum.move:
+        return `${unit(order.province)} - ${place(order.dest, order.coast)}${order.isConvoy ? " VIA C" : ""}`;
+      case orderTypeEnum["support hold"]:
+        return `${unit(order.province)} S ${unit(order.supporting)}`;
+      case orderTypeEnum["support move"]:
+        return `${unit(order.province)} S ${unit(order.from)} - ${place(order.supporting, order.coast)}`;
+      case orderTypeEnum.convoy:
+        return `${unit(order.province)} C ${unit(order.start)} - ${place(order.end)}`;
+      case orderTypeEnum.retreat:
+        return `${unit(order.province)} R ${place(order.dest, order.coast)}`;
+      case orderTypeEnum.build:
+        return `BUILD ${order.unitType == unitTypeEnum.Army ? "A" : "F"} ${place(order.province, order.coast)}`;
+      case orderTypeEnum.disband:
+        return `${unit(order.province)} D`;
+      case orderTypeEnum.pass:
+        return "WAIVE";
+      default:
+        throw Error(`${order.type} is not a valid order type.`);
+    }
   }
 
   /**
@@ -903,26 +2615,49 @@ class GameData {
    * @param {string} province 
    * @param {string} [exclude]
    * @param {string} [convoy_ignore] Optional province that moving units cannot use to convoy through
+   * @param {string} [coast] Only count fleets that can move to this coast of `province`, or "" to count units reaching any coast. Default: "".
    * 
    * @returns {Array.<Unit>}
    */
-  get_units_movable_to(province, exclude = "", convoy_ignore = "") {
+  get_units_movable_to(province, exclude = "", convoy_ignore = "", coast = "") {
+    if (coast) {
+      return this.get_units_movable_to(province, exclude, convoy_ignore)
+        .filter(unit => unit.type == unitTypeEnum.Fleet && this.get_reachable_coasts(unit, province).includes(coast));
+    }
     let ret = [];
+    // Convoys can only land next to a fleet at sea
+    let convoyable = !this.get_province(province).water && this.mapIndex.neighbours[province].water.some(p => {
+      let unit = this.get_unit(p);
+      return unit && unit.type == unitTypeEnum.Fleet && this.get_province(p).water;
+    });
     for (let c in this.state.nations) {
       for (let unit of this.state.nations[c].units) {
-        if (unit.province != province && unit.province != exclude) {
-          for (let order of this.get_valid_orders(unit)) {
-            if (order.type == orderTypeEnum.move && order.dest == province && (!order.isConvoy || this.convoy_pathfind(this.get_province(order.province), [convoy_ignore]).includes(province))) {
-              ret.push(unit);
-              break;
-            }
-          }
+        if (unit.province == province || unit.province == exclude) continue;
+        if (this.get_adjacencies(unit.province, unit.coast).some(adj => adj.province == province)
+          || (convoyable && unit.type == unitTypeEnum.Army && this.get_convoy_destinations(unit.province, convoy_ignore).includes(province))) {
+          ret.push(unit);
         }
       }
     }
     return ret;
   }
 
+  /**
+   * Get the land provinces an army at `province` could be convoyed to without passing through `ignore`, as found by {@link GameData#convoy_pathfind}.
+   * Results are cached for the current state.
+   * @param {string} province
+   * @param {string} [ignore] A province the convoy can't pass through. Default: none.
+   * @returns {Array.<string>}
+   */
+  get_convoy_destinations(province, ignore = "") {
+    this.sync_order_cache();
+    let key = `${province}-${ignore}`;
+    if (!this.convoyCache[key]) {
+      this.convoyCache[key] = this.convoy_pathfind(this.get_province(province), ignore ? [ignore] : []);
+    }
+    return this.convoyCache[key];
+  }
+
   /**
    * Find and return all land provinces that can be reached via a convoy starting at `start_province` without traversing provinces in `ignore`.
    * 
@@ -951,27 +2686,37 @@ class GameData {
   }
 
   /**
-   * Return the location of fleets required to convoy an army from `start` to `end`
+   * Find every chain of fleets that could convoy an army from `start` to `end`.
+   * 
    * @param {string} start 
    * @param {string} end 
    * 
-   * @returns {Array.<string>}
+   * @returns {{routes: Array.<string[]>, ordered: boolean}} Each route lists the provinces of its fleets in order from `start` to `end`.
+   * `ordered` is true if every fleet of at least one route has been ordered to convoy from `start` to `end` in the current state.
    */
-  fleets_required(start, end) {
-    let fleets = [];
+  get_convoy_routes(start, end) {
+    let routes = [];
+    let path = [];
     let step = (p) => {
       for (let adj of this.get_adjacencies_ignore_coasts(p)) {
-        if (this.get_province(adj).water && this.get_unit(adj)) {
-          fleets.push(adj);
-          if (step(adj)) return true;
-        } else if (adj == end && this.get_province(p).water) {
-          return true;
+        let unit = this.get_unit(adj);
+        if (this.get_province(adj).water && unit && unit.type == unitTypeEnum.Fleet && !path.includes(adj)) {
+          path.push(adj);
+          if (this.is_adjacent_ignore_coasts(adj, end)) {
+            routes.push(path.slice());
+          }
+          step(adj);
+          path.pop();
         }
       }
-      return false;
     };
-    step(start);
-    return fleets;
+    if (start != end) step(start);
+
+    let ordered = routes.some(route => route.every(fleet => {
+      let order = (this.state.orders[this.get_unit_owner_id(fleet)] || {})[fleet];
+      return order && order.type == orderTypeEnum.convoy && order.start == start && order.end == end;
+    }));
+    return { routes: routes, ordered: ordered };
   }
 
   /**
@@ -982,15 +2727,8 @@ class GameData {
    * @returns {Array.<string>} List of provinces accessible from `province`
    */
   get_adjacencies_ignore_coasts(province) {
-    let ret = [];
-    for (let route of this.mapInfo.routes) {
-      let otherSide = this.route_other_end_ignore_coasts(route, province);
-      if (otherSide && !ret.includes(otherSide.province)) {
-        ret.push(otherSide.province);
-      }
-    }
-
-    return ret;
+    let neighbours = this.mapIndex.neighbours[province];
+    return neighbours ? neighbours.all.slice() : [];
   }
 
   /**
@@ -999,13 +2737,8 @@ class GameData {
    * @param {string} p1 
    */
   is_adjacent_ignore_coasts(p0, p1) {
-    for (let route of this.mapInfo.routes) {
-      let otherSide = this.route_other_end_ignore_coasts(route, p0);
-      if (otherSide && otherSide.province == p1) {
-        return true;
-      }
-    }
-    return false;
+    let neighbours = this.mapIndex.neighbours[p0];
+    return !!neighbours && neighbours.all.includes(p1);
   }
 
   /**
@@ -1014,13 +2747,7 @@ class GameData {
    * @param {PlaceIdentifier} p1 
    */
   is_adjacent(p0, p1) {
-    for (let route of this.mapInfo.routes) {
-      let otherSide = this.route_other_end(route, p0.province, p0.coast);
-      if (otherSide && otherSide.province == p1.province && otherSide.coast == p1.coast) {
-        return true;
-      }
-    }
-    return false;
+    return this.get_adjacencies(p0.province, p0.coast).some(otherSide => otherSide.province == p1.province && otherSide.coast == p1.coast);
   }
 
   /**
@@ -1052,18 +2779,11 @@ class GameData {
    * @param {string} province The starting province
    * @param {string} coast The starting coast, if applicable
    * 
-   * @returns {Array.<PlaceIdentifier>} List of provinces and coasts accessible from `province` and `coast`
+   * @returns {Array.<PlaceIdentifier>} List of provinces and coasts accessible from `province` and `coast`. The entries are shared with the map index and frozen.
    */
   get_adjacencies(province, coast = "") {
-    let ret = [];
-    for (let route of this.mapInfo.routes) {
-      let otherSide = this.route_other_end(route, province, coast);
-      if (otherSide) {
-        ret.push(otherSide);
-      }
-    }
-
-    return ret;
+    let adjacencies = (this.mapIndex.adjacencies[province] || {})[coast];
+    return adjacencies ? adjacencies.land.concat(adjacencies.water) : [];
   }
 
   /**
@@ -1091,13 +2811,7 @@ class GameData {
   }
 
   get_province(id) {
-    for (let province of this.mapInfo.provinces) {
-      if (province.id === id) {
-        return province;
-      }
-    }
-
-    return null;
+    return this.mapIndex.provinces[id] || null;
   }
 
   /**
@@ -1112,15 +2826,7 @@ class GameData {
   }
 
   get_coast(provinceId, coastId) {
-    let province = this.get_province(provinceId);
-
-    for (let coast of province.coasts) {
-      if (coast.id == coastId) {
-        return coast;
-      }
-    }
-
-    return null;
+    return (this.mapIndex.coasts[provinceId] || {})[coastId] || null;
   }
 
   /**
@@ -1133,15 +2839,8 @@ class GameData {
   }
 
   get_unit_owner_id(province) {
-    for (let [country, countryData] of Object.entries(this.state.nations)) {
-      for (let unit of countryData.units) {
-        if (unit.province === province) {
-          return country;
-        }
-      }
-    }
-
-    return null;
+    let entry = this.get_unit_index(this.state)[province];
+    return entry ? entry.country : null;
   }
 
   /**
@@ -1172,15 +2871,29 @@ class GameData {
    * @returns {Unit} The unit
    */
   get_unit_state(state, province) {
-    for (let countryData of Object.values(state.nations)) {
-      for (let unit of countryData.units) {
-        if (unit.province === province) {
-          return unit;
+    let entry = this.get_unit_index(state)[province];
+    return entry ? entry.unit : null;
+  }
+
+  /**
+   * Get the lookup from provinces to the units in `state` and the countries that own them.
+   * It's built the first time it's needed for each state. States are never changed once their lookup is built,
+   * so call {@link GameData#invalidate_caches} after changing the units of a state from outside of {@link GameData}.
+   * @param {State} state
+   * @returns {Object.<string, {country: string, unit: Unit}>}
+   */
+  get_unit_index(state) {
+    let index = this.unitIndex.get(state);
+    if (!index) {
+      index = {};
+      for (let [country, nation] of Object.entries(state.nations)) {
+        for (let unit of nation.units) {
+          index[unit.province] = { country, unit };
         }
       }
+      this.unitIndex.set(state, index);
     }
-
-    return null;
+    return index;
   }
 
   get_player_units(player) {
@@ -1217,6 +2930,871 @@ class GameData {
   get_owned_home_supply_centers(country) {
     return this.get_home_supply_centers(country).filter(sc => this.state.nations[country].supplyCenters.includes(sc));
   }
+
+  /**
+   * Adjudicate the orders of the current movement phase.
+   *
+   * Units without an order, or whose order isn't one of {@link GameData#get_valid_orders}, hold.
+   * Sets the result of every order in `state.orders` and fills in `state.contested` and `state.dislodgements`.
+   * Units are not moved.
+   *
+   * Resolution follows the DATC guess-and-check algorithm. Circular movement succeeds and convoy paradoxes are settled with the Szykman rule.
+   */
+  adjudicate_movement() {
+    let state = this.state;
+
+    /**
+     * Every unit on the board with the order it follows and the order that was submitted for it, if any.
+     * @type {Array.<{unit: Unit, country: string, order: Order, submitted: Order}>}
+     */
+    let entries = [];
+    /** @type {Object.<string, number>} */
+    let byProvince = {};
+    for (let [country, nation] of Object.entries(state.nations)) {
+      let submitted = state.orders[country] || {};
+      for (let unit of nation.units) {
+        let order = submitted[unit.province] || null;
+        let valid = order && this.is_valid_unit_order(unit, order);
+        byProvince[unit.province] = entries.length;
+        entries.push({ unit, country, order: valid ? order : new HoldOrder(unit.province), submitted: order });
+      }
+    }
+
+    const UNRESOLVED = 0, GUESSING = 1, RESOLVED = 2;
+    let status = entries.map(() => UNRESOLVED);
+    let resolution = entries.map(() => false);
+    /** @type {number[]} */
+    let dependencies = [];
+
+    /** @param {string} province */
+    let at = province => province in byProvince ? byProvince[province] : -1;
+    let isMove = i => entries[i].order.type == orderTypeEnum.move;
+    let movesTo = province => entries.map((_e, i) => i).filter(i => isMove(i) && entries[i].order.dest == province);
+
+    /** Index of the unit moving into the province that move `i` comes from, if it's a head-to-head battle. */
+    let opponent = i => {
+      let order = entries[i].order;
+      let j = at(order.dest);
+      if (j == -1 || !isMove(j) || order.isConvoy || entries[j].order.isConvoy || entries[j].order.dest != order.province) return -1;
+      return j;
+    };
+
+    /** Supports given to unit `i`, optionally ignoring those from `ignoreCountry`. */
+    let supportCount = (i, ignoreCountry = null) => {
+      let order = entries[i].order;
+      let count = 0;
+      for (let j = 0; j < entries.length; j++) {
+        let support = entries[j].order;
+        let matches = isMove(i)
+          ? support.type == orderTypeEnum["support move"] && support.from == order.province && support.supporting == order.dest
+          : support.type == orderTypeEnum["support hold"] && support.supporting == order.province;
+        if (matches && entries[j].country != ignoreCountry && resolve(j)) {
+          count++;
+        }
+      }
+      return count;
+    };
+
+    /** @type {Object.<number, Array.<string[]>>} */
+    let convoyRoutes = {};
+
+    /** Whether the move `i` can reach its destination, either directly or through a chain of successful convoys. */
+    let hasPath = i => {
+      let order = entries[i].order;
+      if (!order.isConvoy) return true;
+      if (!convoyRoutes[i]) convoyRoutes[i] = this.get_convoy_routes(order.province, order.dest).routes;
+      return convoyRoutes[i].some(route => route.every(fleet => {
+        let convoy = entries[at(fleet)].order;
+        return convoy.type == orderTypeEnum.convoy && convoy.start == order.province && convoy.end == order.dest && resolve(at(fleet));
+      }));
+    };
+
+    let holdStrength = province => {
+      let i = at(province);
+      if (i == -1) return 0;
+      if (isMove(i)) return resolve(i) ? 0 : 1;
+      return 1 + supportCount(i);
+    };
+
+    let attackStrength = i => {
+      if (!hasPath(i)) return 0;
+      let j = at(entries[i].order.dest);
+      if (j == -1 || (isMove(j) && opponent(i) == -1 && resolve(j))) return 1 + supportCount(i);
+      if (entries[j].country == entries[i].country) return 0;
+      return 1 + supportCount(i, entries[j].country);
+    };
+
+    let preventStrength = i => {
+      if (!hasPath(i)) return 0;
+      let j = opponent(i);
+      if (j != -1 && resolve(j)) return 0;
+      return 1 + supportCount(i);
+    };
+
+    let isDislodged = province => movesTo(province).some(k => resolve(k));
+
+    let adjudicate = i => {
+      let { order, country } = entries[i];
+      switch (order.type) {
+        case orderTypeEnum.move: {
+          let attack = attackStrength(i);
+          let j = opponent(i);
+          if (attack <= (j == -1 ? holdStrength(order.dest) : 1 + supportCount(j))) return false;
+          return movesTo(order.dest).every(k => k == i || attack > preventStrength(k));
+        }
+        case orderTypeEnum["support hold"]:
+        case orderTypeEnum["support move"]:
+          for (let k of movesTo(order.province)) {
+            if (entries[k].country != country && entries[k].order.province != order.supporting && hasPath(k)) {
+              return false;
+            }
+          }
+          return !isDislodged(order.province);
+        default:
+          return !isDislodged(order.province);
+      }
+    };
+
+    /** Settle a cycle of orders that can't be resolved by guessing. */
+    let backupRule = oldCount => {
+      let cycle = dependencies.splice(oldCount);
+      let paradox = cycle.some(i => entries[i].order.type == orderTypeEnum.convoy);
+      for (let i of cycle) {
+        let type = entries[i].order.type;
+        if (paradox ? type == orderTypeEnum.convoy : type == orderTypeEnum.move) {
+          resolution[i] = !paradox;
+          status[i] = RESOLVED;
+        } else {
+          status[i] = UNRESOLVED;
+        }
+      }
+    };
+
+    let resolve = i => {
+      if (status[i] == RESOLVED) return resolution[i];
+      if (status[i] == GUESSING) {
+        if (!dependencies.includes(i)) dependencies.push(i);
+        return resolution[i];
+      }
+
+      let oldCount = dependencies.length;
+      resolution[i] = false;
+      status[i] = GUESSING;
+      let first = adjudicate(i);
+
+      if (dependencies.length == oldCount) {
+        if (status[i] != RESOLVED) {
+          resolution[i] = first;
+          status[i] = RESOLVED;
+        }
+        return first;
+      }
+
+      if (dependencies[oldCount] != i) {
+        dependencies.push(i);
+        resolution[i] = first;
+        return first;
+      }
+
+      // This order depends on its own guess, so try the other guess
+      dependencies.splice(oldCount).forEach(j => { status[j] = UNRESOLVED; });
+      resolution[i] = true;
+      status[i] = GUESSING;
+      let second = adjudicate(i);
+
+      if (first == second) {
+        dependencies.splice(oldCount).forEach(j => { status[j] = UNRESOLVED; });
+        resolution[i] = first;
+        status[i] = RESOLVED;
+        return first;
+      }
+
+      backupRule(oldCount);
+      return resolve(i);
+    };
+
+    entries.forEach((_e, i) => resolve(i));
+
+    state.dislodgements = {};
+    state.contested = [];
+    for (let [i, { unit, country, order }] of entries.entries()) {
+      if (!(isMove(i) && resolution[i])) {
+        let attacker = movesTo(unit.province).find(k => resolution[k]);
+        if (attacker !== undefined) {
+          state.dislodgements[unit.province] = { unit, from: entries[attacker].unit.province, country };
+        }
+      }
+      if (isMove(i) && !resolution[i] && preventStrength(i) > 0 && !state.contested.includes(order.dest)) {
+        let j = at(order.dest);
+        if (!movesTo(order.dest).some(k => resolution[k]) && (j == -1 || (isMove(j) && resolution[j]))) {
+          state.contested.push(order.dest);
+        }
+      }
+    }
+
+    for (let [i, { unit, order, submitted }] of entries.entries()) {
+      if (!submitted) continue;
+      let succeeded = submitted == order && resolution[i];
+      if (order.type == orderTypeEnum["support hold"]) {
+        let j = at(order.supporting);
+        succeeded = succeeded && j != -1 && !isMove(j);
+      } else if (order.type == orderTypeEnum["support move"]) {
+        let j = at(order.from);
+        succeeded = succeeded && j != -1 && isMove(j) && entries[j].order.dest == order.supporting;
+      } else if (order.type == orderTypeEnum.convoy) {
+        let j = at(order.start);
+        succeeded = succeeded && j != -1 && isMove(j) && entries[j].order.isConvoy && entries[j].order.dest == order.end;
+      }
+      if (unit.province in state.dislodgements) {
+        submitted.result = orderResultEnum.dislodged;
+      } else {
+        submitted.result = succeeded ? orderResultEnum.success : orderResultEnum.fail;
+      }
+    }
+  }
+
+  /**
+   * Resolve the retreat orders in `state.retreats`.
+   *
+   * Dislodgements are read from the previous state, as in {@link GameData#get_valid_retreats}.
+   * Units retreating to the same province bounce and are disbanded, as are dislodged units without a valid retreat order.
+   * Disband orders always succeed. The results are written into the orders, but the current state's units are left as they were.
+   * @returns {State} A copy of the current state for the following phase, with the units that retreated successfully added
+   */
+  resolve_retreats() {
+    let state = this.state;
+    let next = this.create_next_state();
+    let dislodgements = this.history[this.history.length - 2].dislodgements || {};
+    let retreats = state.retreats || {};
+
+    for (let nation in retreats) {
+      for (let province in retreats[nation]) {
+        retreats[nation][province].result = orderResultEnum.fail;
+      }
+    }
+
+    /** @type {Array.<{dislodgement: Dislodgement, order: RetreatOrder}>} */
+    let valid = [];
+    for (let [province, dislodgement] of Object.entries(dislodgements)) {
+      let order = (retreats[dislodgement.country] || {})[province];
+      if (order && order.type == orderTypeEnum.disband) {
+        order.result = orderResultEnum.success;
+      } else if (order && this.get_valid_retreats(dislodgement).some(o => o.equals(order))) {
+        valid.push({ dislodgement, order });
+      }
+    }
+
+    for (let { dislodgement, order } of valid) {
+      if (!valid.some(other => other.order != order && other.order.dest == order.dest)) {
+        order.result = orderResultEnum.success;
+        next.nations[dislodgement.country].units.push({ ...dislodgement.unit, province: order.dest, coast: order.coast });
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Update supply center ownership at the end of a Fall turn and set `toBuild` for every nation.
+   * Supply centers change hands when a unit of another nation occupies them. Neutral nations never build.
+   * @param {State} [state] The state to update. Default: the current state.
+   */
+  compute_adjustments(state = this.state) {
+    for (let province of this.get_supply_centers()) {
+      let owner = Object.values(state.nations).find(nation => nation.units.some(unit => unit.province == province.id));
+      if (owner && !owner.supplyCenters.includes(province.id)) {
+        for (let nation of Object.values(state.nations)) {
+          nation.supplyCenters = nation.supplyCenters.filter(sc => sc != province.id);
+        }
+        owner.supplyCenters.push(province.id);
+      }
+    }
+
+    for (let nation of Object.values(state.nations)) {
+      let diff = nation.supplyCenters.length - nation.units.length;
+      nation.toBuild = nation.neutral ? Math.min(diff, 0) : diff;
+    }
+
+    if (!state.adjustments) state.adjustments = {};
+  }
+
+  /**
+   * Resolve the build, disband and pass orders in `state.adjustments` against each nation's `toBuild`.
+   *
+   * Orders are taken in the order they were submitted. Invalid orders and orders beyond a nation's count fail.
+   * Builds a nation doesn't use are forfeited. Nations that disband too few units are put in civil disorder:
+   * the units furthest from home are disbanded, fleets before armies, then in alphabetical order of province name.
+   * Civil disorder disbands are added to `state.adjustments`. The current state's units are left as they were.
+   * @returns {State} A copy of the current state for the following phase, with the units built and disbanded
+   */
+  resolve_adjustments() {
+    let state = this.state;
+    let next = this.create_next_state();
+    if (!state.adjustments) state.adjustments = {};
+
+    for (let [country, nation] of Object.entries(next.nations)) {
+      let orders = state.adjustments[country] || [];
+      let toBuild = state.nations[country].toBuild || 0;
+      orders.forEach(order => { order.result = orderResultEnum.fail; });
+
+      if (toBuild > 0) {
+        let valid = this.get_valid_build_orders(country);
+        let used = [];
+        for (let order of orders) {
+          if (used.length >= toBuild || !valid.some(o => o.equals(order)) || (order.type == orderTypeEnum.build && used.includes(order.province))) continue;
+          order.result = orderResultEnum.success;
+          used.push(order.province);
+          if (order.type == orderTypeEnum.build) {
+            nation.units.push({ province: order.province, coast: order.coast, type: order.unitType });
+          }
+        }
+      } else if (toBuild < 0) {
+        let disbanded = 0;
+        for (let order of orders) {
+          if (disbanded >= -toBuild || order.type != orderTypeEnum.disband || !nation.units.some(unit => unit.province == order.province)) continue;
+          order.result = orderResultEnum.success;
+          nation.units = nation.units.filter(unit => unit.province != order.province);
+          disbanded++;
+        }
+
+        for (let unit of this.get_civil_disorder_units(country, nation.units).slice(0, -toBuild - disbanded)) {
+          let order = new DisbandOrder(country, unit.province);
+          order.result = orderResultEnum.success;
+          order.isDefault = true;
+          orders.push(order);
+          nation.units = nation.units.filter(u => u != unit);
+        }
+        state.adjustments[country] = orders;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Sort the units of `country` in the order civil disorder disbands them:
+   * furthest from home first, fleets before armies, then in alphabetical order of province name.
+   * @param {string} country
+   * @param {Array.<Unit>} [units] Default: all units of `country` in the current state.
+   * @returns {Array.<Unit>}
+   */
+  get_civil_disorder_units(country, units = this.state.nations[country].units) {
+    let byDistance = units.map(unit => ({ unit, distance: this.distance_from_home(unit, country) }));
+    byDistance.sort((a, b) => (b.distance - a.distance)
+      || (b.unit.type - a.unit.type)
+      || this.get_province(a.unit.province).name.localeCompare(this.get_province(b.unit.province).name));
+    return byDistance.map(entry => entry.unit);
+  }
+
+  /**
+   * Give an order to every unit and nation that hasn't been given one during the current phase, so resolution has nothing to guess.
+   * Units hold and dislodged units disband. Nations pass on builds they haven't ordered and disband the units civil disorder would pick
+   * (see {@link GameData#get_civil_disorder_units}). Every order filled in has {@link Order#isDefault} set.
+   * @returns {Array.<Order>} The orders that were filled in
+   */
+  fill_default_orders() {
+    let state = this.state;
+    let filled = [];
+    let fill = order => {
+      order.isDefault = true;
+      filled.push(order);
+      return order;
+    };
+
+    switch (this.phase) {
+      case phaseEnum["Order Writing"]:
+        for (let [country, nation] of Object.entries(state.nations)) {
+          let orders = state.orders[country] = state.orders[country] || {};
+          for (let unit of nation.units.filter(u => !orders[u.province])) {
+            orders[unit.province] = fill(new HoldOrder(unit.province));
+          }
+        }
+        break;
+      case phaseEnum["Retreating"]: {
+        let previous = this.history[this.history.length - 2];
+        for (let [province, dislodgement] of Object.entries(previous.dislodgements || {})) {
+          let retreats = state.retreats[dislodgement.country] = state.retreats[dislodgement.country] || {};
+          if (!retreats[province]) retreats[province] = fill(new DisbandOrder(dislodgement.country, province));
+        }
+        break;
+      }
+      case phaseEnum["Creating/Disbanding"]:
+        if (!state.adjustments) state.adjustments = {};
+        for (let [country, nation] of Object.entries(state.nations)) {
+          let orders = state.adjustments[country] || [];
+          let toBuild = nation.toBuild || 0;
+          if (toBuild > 0) {
+            for (let i = orders.length; i < toBuild; i++) {
+              orders.push(fill(new PassOrder(country)));
+            }
+          } else if (toBuild < 0) {
+            // Only disbands of the nation's own units count, each unit once
+            let disbanding = nation.units.map(u => u.province)
+              .filter(province => orders.some(o => o.type == orderTypeEnum.disband && o.province == province));
+            let remaining = this.get_civil_disorder_units(country).filter(u => !disbanding.includes(u.province));
+            for (let unit of remaining.slice(0, Math.max(0, -toBuild - disbanding.length))) {
+              orders.push(fill(new DisbandOrder(country, unit.province)));
+            }
+          }
+          if (orders.length) state.adjustments[country] = orders;
+        }
+        break;
+    }
+    return filled;
+  }
+
+  /**
+   * Get the number of moves `unit` would need to reach the nearest home supply center of `country` still owned by it, or any home supply center if none are owned.
+   * As in the civil disorder rule, the distance is counted through every province for armies and fleets alike.
+   * @param {Unit} unit
+   * @param {string} country
+   * @returns {number} The distance, or `Infinity` if no home supply center can be reached
+   */
+  distance_from_home(unit, country) {
+    let homes = this.get_owned_home_supply_centers(country);
+    if (homes.length == 0) homes = this.get_home_supply_centers(country);
+
+    let visited = [unit.province];
+    let frontier = [unit.province];
+    for (let distance = 0; frontier.length; distance++) {
+      if (frontier.some(p => homes.includes(p))) return distance;
+      let next = [];
+      for (let province of frontier) {
+        let neighbours = this.mapIndex.neighbours[province];
+        for (let adj of neighbours.all) {
+          if (!visited.includes(adj)) {
+            visited.push(adj);
+            next.push(adj);
+          }
+        }
+      }
+      frontier = next;
+    }
+    return Infinity;
+  }
+
+  /**
+   * Resolve the current phase, push the {@link State} for the next phase onto `history` and update `phase`.
+   *
+   * Each season's orders are followed by retreats, and Fall is followed by adjustments before the next year begins.
+   * Retreats are skipped when no unit was dislodged, and adjustments are skipped when no nation can build or has to disband.
+   * Orders that weren't given are filled in by {@link GameData#fill_default_orders} first.
+   */
+  advance_phase() {
+    this.fill_default_orders();
+    switch (this.phase) {
+      case phaseEnum["Country Claiming"]:
+        this.phase = phaseEnum["Order Writing"];
+        break;
+      case phaseEnum["Order Writing"]: {
+        this.adjudicate_movement();
+        let next = this.create_next_state();
+        for (let [country, nation] of Object.entries(next.nations)) {
+          let orders = this.state.orders[country] || {};
+          nation.units = nation.units.filter(unit => !(unit.province in this.state.dislodgements)).map(unit => {
+            let order = orders[unit.province];
+            if (order && order.type == orderTypeEnum.move && order.result == orderResultEnum.success) {
+              return { ...unit, province: order.dest, coast: order.coast };
+            }
+            return unit;
+          });
+        }
+        if (Object.keys(this.state.dislodgements).length) {
+          this.history.push(next);
+          this.phase = phaseEnum["Retreating"];
+        } else {
+          this.end_season(next);
+        }
+        break;
+      }
+      case phaseEnum["Retreating"]:
+        this.end_season(this.resolve_retreats());
+        break;
+      case phaseEnum["Creating/Disbanding"]:
+        this.start_year(this.resolve_adjustments());
+        this.update_win_state();
+        break;
+      default:
+        throw Error(`Can't advance past phase ${this.phase}.`);
+    }
+    this.invalidate_caches();
+  }
+
+  /**
+   * Create a copy of `state` with no orders or adjudication results, to be used as the state of the following phase.
+   * @param {State} [state] Default: the current state.
+   * @returns {State}
+   */
+  create_next_state(state = this.state) {
+    let nations = {};
+    for (let [country, nation] of Object.entries(state.nations)) {
+      nations[country] = {
+        id: nation.id,
+        neutral: nation.neutral,
+        supplyCenters: nation.supplyCenters.slice(),
+        units: nation.units.map(unit => ({ ...unit }))
+      };
+    }
+    return {
+      date: state.date,
+      season: state.season,
+      nations: nations,
+      orders: {},
+      retreats: {}
+    };
+  }
+
+  /**
+   * Move on from a season whose units are in their final positions in `next`.
+   * Spring is followed by Fall. Fall is followed by adjustments if any nation has to make them, otherwise by the next year.
+   * @param {State} next
+   */
+  end_season(next) {
+    if (next.season == seasonEnum.Spring) {
+      next.season = seasonEnum.Fall;
+      this.history.push(next);
+      this.phase = phaseEnum["Order Writing"];
+      return;
+    }
+
+    this.compute_adjustments(next);
+    let needsAdjustment = Object.entries(next.nations).some(([country, nation]) => {
+      if (nation.toBuild < 0) return true;
+      return nation.toBuild > 0 && this.get_home_supply_centers(country).some(sc => nation.supplyCenters.includes(sc) && !this.get_unit_state(next, sc));
+    });
+    if (needsAdjustment) {
+      this.history.push(next);
+      this.phase = phaseEnum["Creating/Disbanding"];
+    } else {
+      this.start_year(this.create_next_state(next));
+      this.update_win_state();
+    }
+  }
+
+  /**
+   * Begin the Spring turn of the year after `next`.
+   * @param {State} next
+   */
+  start_year(next) {
+    next.date++;
+    next.season = seasonEnum.Spring;
+    this.history.push(next);
+    this.phase = phaseEnum["Order Writing"];
+  }
+
+  /**
+   * Return whether a nation has been eliminated, i.e. it has neither supply centers nor units.
+   * @param {string} country
+   * @param {State} [state] Default: the current state.
+   * @returns {boolean}
+   */
+  is_eliminated(country, state = this.state) {
+    let nation = state.nations[country];
+    return !nation || (nation.supplyCenters.length == 0 && nation.units.length == 0);
+  }
+
+  /**
+   * Get the number of supply centers owned by all the countries in a country group.
+   * @param {string[]} countryList
+   * @param {State} [state] Default: the current state.
+   * @returns {number}
+   */
+  country_group_supply_center_count(countryList, state = this.state) {
+    return countryList.reduce((count, country) => count + (state.nations[country] ? state.nations[country].supplyCenters.length : 0), 0);
+  }
+
+  /**
+   * Check whether a country group has won, either by owning `mapInfo.info.toWin` supply centers or by being the only group not eliminated.
+   * If so, set `won` and `winner` and move the game to the "Finished" phase. The eliminated countries are recorded in `state.eliminated`.
+   * {@link GameData#advance_phase} calls this once a year's adjustments are resolved, or skipped because no nation had any to make.
+   * @returns {winStateEnum} The resulting win state
+   */
+  update_win_state() {
+    this.state.eliminated = Object.keys(this.state.nations).filter(country => this.is_eliminated(country));
+    let groups = this.playableCountryGroups;
+    let counts = groups.map(group => this.country_group_supply_center_count(group));
+    let best = Math.max(...counts);
+    let leaders = groups.filter((_group, i) => counts[i] == best);
+    let remaining = groups.filter(group => !group.every(country => this.is_eliminated(country)));
+
+    let winner = null;
+    if (best >= this.mapInfo.info.toWin && leaders.length == 1) {
+      winner = leaders[0];
+    } else if (remaining.length == 1) {
+      winner = remaining[0];
+    }
+
+    if (winner) {
+      this.won = winStateEnum.Won;
+      this.winner = this.country_group_owner(winner) || "";
+      this.phase = phaseEnum["Finished"];
+    }
+    return this.won;
+  }
+
+  /**
+   * Compare two states from `history`, usually consecutive ones, and list what happened between them.
+   * Moves, retreats, builds and disbands are matched to the successful orders in `before`. Retreats and disbands of dislodged units
+   * are only found when `before` is a retreat state in `history`. Any other unit that appears or disappears is also a build or a disband.
+   * @param {State} before
+   * @param {State} after
+   * @returns {Array.<StateChange>}
+   */
+  diff_states(before, after) {
+    /** @type {Array.<StateChange>} */
+    let changes = [];
+    let copy = unit => ({ province: unit.province, coast: unit.coast, type: unit.type });
+    let same = (u0, u1) => u0.province == u1.province && u0.coast == u1.coast && u0.type == u1.type;
+
+    let index = this.history.indexOf(before);
+    let retreating = index > 0 && this.phase_at(index) == phaseEnum["Retreating"];
+    let dislodgements = retreating ? this.history[index - 1].dislodgements || {} : {};
+
+    let countries = Object.keys(before.nations).concat(Object.keys(after.nations)).filter((c, i, all) => all.indexOf(c) == i);
+    for (let country of countries) {
+      let removed = before.nations[country] ? before.nations[country].units.slice() : [];
+      let added = after.nations[country] ? after.nations[country].units.slice() : [];
+      for (let unit of removed.slice()) {
+        let kept = added.find(other => same(unit, other));
+        if (kept) {
+          removed.splice(removed.indexOf(unit), 1);
+          added.splice(added.indexOf(kept), 1);
+        }
+      }
+      let take = (list, province, coast, type) => {
+        let unit = list.find(other => other.province == province && (coast === undefined || other.coast == coast) && (type === undefined || other.type == type));
+        if (unit) list.splice(list.indexOf(unit), 1);
+        return unit;
+      };
+      let succeeded = orders => orders.filter(order => order.result == orderResultEnum.success);
+
+      for (let unit of removed.slice()) {
+        let order = (before.orders[country] || {})[unit.province];
+        let dislodgement = (before.dislodgements || {})[unit.province];
+        let moved = order && order.type == orderTypeEnum.move && order.result == orderResultEnum.success && take(added, order.dest, order.coast, unit.type);
+        if (moved) {
+          changes.push({ type: changeTypeEnum.move, country, unit: copy(unit), to: { province: moved.province, coast: moved.coast } });
+        } else if (dislodgement && dislodgement.country == country && same(dislodgement.unit, unit)) {
+          changes.push({ type: changeTypeEnum.dislodge, country, unit: copy(unit), by: dislodgement.from });
+        } else {
+          continue;
+        }
+        removed.splice(removed.indexOf(unit), 1);
+      }
+
+      for (let dislodgement of Object.values(dislodgements).filter(d => d.country == country)) {
+        let order = ((before.retreats || {})[country] || {})[dislodgement.unit.province];
+        if (order && order.type == orderTypeEnum.retreat && order.result == orderResultEnum.success) {
+          take(added, order.dest, order.coast, dislodgement.unit.type);
+          changes.push({ type: changeTypeEnum.retreat, country, unit: copy(dislodgement.unit), to: { province: order.dest, coast: order.coast } });
+        } else {
+          changes.push({ type: changeTypeEnum.disband, country, unit: copy(dislodgement.unit) });
+        }
+      }
+      for (let order of succeeded((before.adjustments || {})[country] || [])) {
+        if (order.type == orderTypeEnum.build) {
+          let unit = take(added, order.province, order.coast, order.unitType) || { province: order.province, coast: order.coast, type: order.unitType };
+          changes.push({ type: changeTypeEnum.build, country, unit: copy(unit), to: { province: unit.province, coast: unit.coast } });
+        } else if (order.type == orderTypeEnum.disband) {
+          let unit = take(removed, order.province);
+          if (unit) changes.push({ type: changeTypeEnum.disband, country, unit: copy(unit) });
+        }
+      }
+
+      changes.push(...added.map(unit => ({ type: changeTypeEnum.build, country, unit: copy(unit), to: { province: unit.province, coast: unit.coast } })));
+      changes.push(...removed.map(unit => ({ type: changeTypeEnum.disband, country, unit: copy(unit) })));
+    }
+
+    let owner = (state, province) => Object.keys(state.nations).find(c => state.nations[c].supplyCenters.includes(province)) || "";
+    let supplyCenters = [before, after].flatMap(state => Object.values(state.nations).flatMap(n => n.supplyCenters)).filter((p, i, all) => all.indexOf(p) == i);
+    for (let province of supplyCenters) {
+      let from = owner(before, province);
+      let to = owner(after, province);
+      if (from != to) {
+        changes.push({ type: changeTypeEnum.capture, country: to, province, from });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Draw the board at any point in the game's history as a standalone SVG document.
+   * Supply centers are drawn in their owner's color, armies as circles, fleets as squares,
+   * and orders as arrows colored by their {@link orderResultEnum}: convoyed moves and convoys follow the convoying fleets,
+   * and move supports pass through the supported unit. Builds are drawn as faded units with a dashed outline, and disbands as crosses over the unit.
+   * @param {number} [index] Index into `history`. Default: the current state.
+   * @param {{width?: number, height?: number}} [options] Size of the image in pixels. Default: 1000 by 1000.
+   * @returns {string}
+   */
+  render_svg(index = this.history.length - 1, options = {}) {
+    const resultColors = {
+      [orderResultEnum.unprocessed]: "#000000",
+      [orderResultEnum.fail]: "#d62728",
+      [orderResultEnum.success]: "#2ca02c",
+      [orderResultEnum.dislodged]: "#ff7f0e"
+    };
+    let width = options.width || 1000;
+    let height = options.height || 1000;
+    let state = this.history[index];
+    let previous = this.history[index - 1];
+    let escape = text => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    let point = coords => ({ x: +(coords.x * width).toFixed(1), y: +((1 - coords.y) * height).toFixed(1) });
+    let colorOf = country => escape((this.get_country(country) || { color: "#888888" }).color);
+
+    let svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+      "<defs>",
+      ...Object.entries(resultColors).map(([result, color]) =>
+        `<marker id="arrow-${result}" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="${color}"/></marker>`),
+      "</defs>",
+      this.mapInfo.info.image
+        ? `<image href="${escape(this.mapInfo.info.image)}" xlink:href="${escape(this.mapInfo.info.image)}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none"/>`
+        : `<rect x="0" y="0" width="${width}" height="${height}" fill="#f4efe1"/>`
+    ];
+
+    for (let province of this.get_supply_centers()) {
+      let owner = this.supply_center_owner_from_state(province.id, state);
+      let { x, y } = point(province);
+      svg.push(`<circle class="supply-center" cx="${x}" cy="${y + 14}" r="5" fill="${owner ? colorOf(owner.id) : "#ffffff"}" stroke="#000000" stroke-width="1"/>`);
+    }
+
+    /**
+     * @param {Unit} unit
+     * @param {string} country
+     * @param {number} [opacity]
+     */
+    let drawUnit = (unit, country, opacity = 1) => {
+      let coords = this.get_unit_coords(unit);
+      if (!coords) return;
+      let { x, y } = point(coords);
+      let shape = unit.type == unitTypeEnum.Army
+        ? `<circle cx="${x}" cy="${y}" r="10"`
+        : `<rect x="${x - 9}" y="${y - 9}" width="18" height="18"`;
+      svg.push(`${shape} class="unit" fill="${colorOf(country)}" stroke="#000000" stroke-width="1.5" opacity="${opacity}"/>`);
+      svg.push(`<text x="${x}" y="${y + 4}" font-size="11" font-family="sans-serif" text-anchor="middle" fill="#ffffff" opacity="${opacity}">${unit.type == unitTypeEnum.Army ? "A" : "F"}</text>`);
+    };
+
+    /**
+     * Draw an arrow through `stops`, ending at the last one.
+     * @param {Array.<{x: number, y: number}>} stops
+     * @param {orderResultEnum} result
+     * @param {string} [dash]
+     */
+    let drawArrow = (stops, result, dash = "") => {
+      if (stops.length < 2 || stops.some(stop => !stop)) return;
+      let points = stops.map(point);
+      let start = points[points.length - 2];
+      let end = points[points.length - 1];
+      let length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+      let shorten = Math.min(12, length / 2);
+      points[points.length - 1] = {
+        x: +(end.x - (end.x - start.x) * shorten / length).toFixed(1),
+        y: +(end.y - (end.y - start.y) * shorten / length).toFixed(1)
+      };
+      let attributes = `stroke="${resultColors[result]}" stroke-width="3"${dash ? ` stroke-dasharray="${dash}"` : ""} marker-end="url(#arrow-${result})"`;
+      svg.push(points.length == 2
+        ? `<line class="order" x1="${points[0].x}" y1="${points[0].y}" x2="${points[1].x}" y2="${points[1].y}" ${attributes}/>`
+        : `<polyline class="order" points="${points.map(p => `${p.x},${p.y}`).join(" ")}" fill="none" ${attributes}/>`);
+    };
+
+    /**
+     * Draw a cross over `coords`, for a unit that is disbanded.
+     * @param {{x: number, y: number}} coords
+     * @param {orderResultEnum} result
+     */
+    let drawCross = (coords, result) => {
+      if (!coords) return;
+      let { x, y } = point(coords);
+      svg.push(`<path class="disband" d="M${x - 12},${y - 12} L${x + 12},${y + 12} M${x - 12},${y + 12} L${x + 12},${y - 12}" stroke="${resultColors[result]}" stroke-width="3"/>`);
+    };
+
+    for (let [country, nation] of Object.entries(state.nations)) {
+      for (let unit of nation.units) {
+        drawUnit(unit, country);
+      }
+    }
+
+    let unitCoords = province => {
+      let unit = this.get_unit_state(state, province);
+      return unit ? this.get_unit_coords(unit) : this.get_coords(province);
+    };
+    let orders = Object.values(state.orders).flatMap(orders => Object.values(orders));
+
+    /**
+     * Find the fleets, in order, that carry the army at `start` to `end`: the shortest chain of fleets ordered to convoy it.
+     * @param {string} start
+     * @param {string} end
+     * @returns {Array.<string>} The provinces of the fleets, or none if they don't reach
+     */
+    let convoyRoute = (start, end) => {
+      let fleets = orders.filter(o => o.type == orderTypeEnum.convoy && o.start == start && o.end == end).map(o => o.province);
+      let paths = [[start]];
+      let visited = [start];
+      while (paths.length) {
+        let next = [];
+        for (let path of paths) {
+          let neighbours = this.mapIndex.neighbours[path[path.length - 1]];
+          if (path.length > 1 && neighbours.water.includes(end)) return path.slice(1);
+          for (let fleet of fleets.filter(f => neighbours.water.includes(f) && !visited.includes(f))) {
+            visited.push(fleet);
+            next.push([...path, fleet]);
+          }
+        }
+        paths = next;
+      }
+      return [];
+    };
+
+    for (let order of orders) {
+      let from = unitCoords(order.province);
+      switch (order.type) {
+        case orderTypeEnum.move:
+          drawArrow([from, ...(order.isConvoy ? convoyRoute(order.province, order.dest).map(unitCoords) : []), this.get_coords(order.dest, order.coast)],
+            order.result, order.isConvoy ? "2,4" : "");
+          break;
+        case orderTypeEnum["support hold"]:
+          drawArrow([from, unitCoords(order.supporting)], order.result, "6,4");
+          break;
+        case orderTypeEnum["support move"]:
+          drawArrow([from, unitCoords(order.from), this.get_coords(order.supporting, order.coast)], order.result, "6,4");
+          break;
+        case orderTypeEnum.convoy:
+          drawArrow([unitCoords(order.start), from, this.get_coords(order.end)], order.result, "2,4");
+          break;
+      }
+    }
+
+    let dislodgements = previous && previous.dislodgements ? previous.dislodgements : {};
+    for (let nation in state.retreats) {
+      for (let order of Object.values(state.retreats[nation])) {
+        let dislodgement = dislodgements[order.province];
+        if (!dislodgement) continue;
+        if (order.type != orderTypeEnum.retreat || order.result != orderResultEnum.success) drawUnit(dislodgement.unit, dislodgement.country, 0.5);
+        if (order.type == orderTypeEnum.disband) {
+          drawCross(this.get_unit_coords(dislodgement.unit), order.result);
+        } else if (order.type == orderTypeEnum.retreat) {
+          drawArrow([this.get_unit_coords(dislodgement.unit), this.get_coords(order.dest, order.coast)], order.result);
+        }
+      }
+    }
+
+    for (let [country, orders] of Object.entries(state.adjustments || {})) {
+      for (let order of orders) {
+        if (order.type == orderTypeEnum.disband) {
+          drawCross(unitCoords(order.province), order.result);
+        } else if (order.type == orderTypeEnum.build) {
+          let coords = this.get_unit_coords({ province: order.province, coast: order.coast, type: order.unitType });
+          if (!coords) continue;
+          let { x, y } = point(coords);
+          let shape = order.unitType == unitTypeEnum.Army
+            ? `<circle cx="${x}" cy="${y}" r="10"`
+            : `<rect x="${x - 9}" y="${y - 9}" width="18" height="18"`;
+          svg.push(`${shape} class="build" fill="${colorOf(country)}" fill-opacity="0.4" stroke="${resultColors[order.result]}" stroke-width="3" stroke-dasharray="3,2"/>`);
+        }
+      }
+    }
+
+    svg.push("</svg>");
+    return svg.join("\n");
+  }
 }
 
 if (typeof (exports) !== "undefined") {
@@ -1227,7 +3805,17 @@ if (typeof (exports) !== "undefined") {
   exports.unitTypeEnum = unitTypeEnum;
   exports.orderTypeEnum = orderTypeEnum;
   exports.orderResultEnum = orderResultEnum;
+  exports.orderValidationEnum = orderValidationEnum;
+  exports.changeTypeEnum = changeTypeEnum;
+  exports.scoringSystems = scoringSystems;
+  exports.score_game = score_game;
   exports.import_order = import_order;
+  exports.create_initial_state = create_initial_state;
+  exports.import_state = import_state;
+  exports.export_state = export_state;
+  exports.import_record = import_record;
+  exports.validate_map = validate_map;
+  exports.import_dpjudge_map = import_dpjudge_map;
   exports.Order = Order;
   exports.CancelOrder = CancelOrder;
   exports.HoldOrder = HoldOrder;